@@ -2,12 +2,22 @@ import settings from './src/javascript/core/settings';
 import user from './src/javascript/core/user';
 import session from './src/javascript/core/session';
 import send from './src/javascript/core/send';
+import consent from './src/javascript/core/consent';
+import middleware from './src/javascript/core/middleware';
+import sampling from './src/javascript/core/sampling';
+import transports from './src/javascript/core/transports';
+import errors from './src/javascript/core/errors';
 import event from './src/javascript/events/custom';
 import page from './src/javascript/events/page-view';
 import click from './src/javascript/events/click';
 import utils from './src/javascript/utils';
 import core from './src/javascript/core';
 import componentView from './src/javascript/events/component-view';
+import scroll from './src/javascript/events/scroll';
+import attention from './src/javascript/events/attention';
+import performance from './src/javascript/events/performance';
+import copy from './src/javascript/events/copy';
+import form from './src/javascript/events/form';
 
 /**
  * The version of the tracking module.
@@ -61,6 +71,8 @@ Tracking.prototype.developer = function(level) {
 Tracking.prototype.destroy = function() {
 	this.developer(false);
 	this.initialised = false;
+	consent.destroy();
+	middleware.destroy();
 
 	settings.destroy('config');
 	settings.destroy('page_sent');
@@ -86,12 +98,54 @@ Tracking.prototype.event = event;
  */
 Tracking.prototype.page = page;
 
+/**
+ * Send everything queued straight away, e.g. before a hard navigation. This
+ * happens anyway when the page is hidden or unloaded.
+ *
+ * @return {Promise} Resolves once the queued requests have been sent, or have failed and been kept to retry.
+ */
+Tracking.prototype.flush = function () {
+	return new Promise(function (resolve) {
+		send.flush(resolve);
+	});
+};
+
 /**
 * To initalise view events for components/elements.
 * @see {@link view#init}
 */
 Tracking.prototype.view = componentView;
 
+/**
+ * To initialise scroll depth tracking.
+ * @see {@link scroll#init}
+ */
+Tracking.prototype.scroll = scroll;
+
+/**
+ * To initialise active time on page tracking.
+ * @see {@link attention#init}
+ */
+Tracking.prototype.attention = attention;
+
+/**
+ * To initialise performance tracking.
+ * @see {@link performance#init}
+ */
+Tracking.prototype.performance = performance;
+
+/**
+ * To initialise text copy tracking.
+ * @see {@link copy#init}
+ */
+Tracking.prototype.copy = copy;
+
+/**
+ * To initialise form tracking.
+ * @see {@link form#init}
+ */
+Tracking.prototype.form = form;
+
 /**
  * To initalise click events.
  * @see {@link click#init}
@@ -104,6 +158,26 @@ Tracking.prototype.click = click;
  */
 Tracking.prototype.link = { init: _ => Tracking.prototype.click.init('link') }; // eslint-disable-line no-unused-vars
 
+/**
+ * Add a hook to enrich, rewrite or drop every event before it is sent.
+ * @see {@link use}
+ */
+Tracking.prototype.use = middleware.use;
+
+/**
+ * Register custom transports for sending requests.
+ * @see {@link register}
+ */
+Tracking.prototype.transports = {
+	register: transports.register
+};
+
+/**
+ * The types of error tracking promises are rejected with, for telling them apart.
+ * @see {@link errors}
+ */
+Tracking.prototype.errors = errors;
+
 /**
  * Tracking utilities.
  * @see {@link utils}
@@ -139,6 +213,14 @@ Tracking.prototype.getRootID = core.getRootID;
  * @param {boolean} config.noSend           - Optional, if `true`, won't send events.
  * @param {string} config.configId          - Optional
  * @param {string} config.session           - Optional
+ * @param {Array} config.transports         - Optional, transport names to try in order of preference.
+ * @param {string} config.storage           - Optional, set to 'indexeddb' to store queued events in IndexedDB.
+ * @param {Object} config.consent           - Optional, where to get the visitor's consent to tracking from, see {@link consent#init}.
+ * @param {Object} config.privacy           - Optional, what to do with events when the browser sends a Do Not Track or Global Privacy Control signal.
+ * @param {Object|boolean} config.scrub     - Optional, rules for redacting personal data from events, or `false` to turn redaction off.
+ * @param {Object|boolean} config.validation - Optional, schemas to check events against and whether to be `strict`, or `false` to turn validation off.
+ * @param {Object} config.sampling          - Optional, the `rates` to sample events at and the `limits` on events per session, by `category:action`.
+ * @param {Object} config.links             - Optional, the `site` which subdomain links belong to and the file extensions of `downloads`, for classifying clicked links.
  *
  * @return {Tracking} - Returns the tracking object
  */
@@ -168,6 +250,9 @@ Tracking.prototype.init = function(config) {
 
 	const cookieDomain = config ? config.cookieDomain : false;
 
+	// Before anything is stored, as nothing is until the visitor consents.
+	consent.init(config.consent, state => this._consentChanged(state));
+
 	// Set up the user from stored - may later be updated by config
 	user.init(false, cookieDomain);
 	this.updateConfig(config);
@@ -181,6 +266,11 @@ Tracking.prototype.init = function(config) {
 	this.event.init();
 	this.page.init();
 	this.initialised = true;
+
+	if (consent.get() === consent.DENIED) {
+		this._consentChanged(consent.DENIED);
+	}
+
 	return this;
 };
 
@@ -211,9 +301,43 @@ Tracking.prototype.updateConfig = function(newConfig) {
 		user.setUser(config.user.user_id);
 	}
 
+	// Before init, the consent config is read by init itself. The stored
+	// config can't hold a consent callback, so only the new config is passed on.
+	if (this.initialised && newConfig && newConfig.consent) {
+		consent.update(newConfig.consent);
+	}
+
 	send.setDomain();
 };
 
+/**
+ * Act on the visitor granting or denying consent to tracking.
+ * Once granted, the ids and events held in memory are stored and sent. Once
+ * denied, they are dropped, along with anything stored already.
+ *
+ * @private
+ * @param {string} state - The new consent state.
+ * @return {undefined}
+ */
+Tracking.prototype._consentChanged = function (state) {
+	if (!this.initialised) {
+		return;
+	}
+
+	if (state === consent.GRANTED) {
+		user.setUser(user.userID());
+		session.session();
+		send.release();
+	}
+
+	if (state === consent.DENIED) {
+		user.destroy();
+		session.destroy();
+		sampling.destroy();
+		send.clear();
+	}
+};
+
 /**
  * Checks if the <script type='application/json' data-o-tracking-config> element is in the DOM
  * @private
@@ -267,6 +391,8 @@ const link = tracking.link;
 const boundInit = tracking.init.bind(tracking);
 const boundPage = tracking.page.bind(tracking);
 const boundEvent = tracking.event.bind(tracking);
+const boundFlush = tracking.flush.bind(tracking);
+const boundUse = tracking.use.bind(tracking);
 const boundUpdateConfig = tracking.updateConfig.bind(tracking);
 
 function initialise() {
@@ -291,5 +417,7 @@ export {
 	boundInit as init,
 	boundPage as page,
 	boundEvent as event,
+	boundFlush as flush,
+	boundUse as use,
 	boundUpdateConfig as updateConfig
 };
@@ -3,6 +3,12 @@ import Send from './core/send';
 import User from './core/user';
 import Session from './core/session';
 import settings from './core/settings';
+import privacy from './core/privacy';
+import scrub from './core/scrub';
+import middleware from './core/middleware';
+import sampling from './core/sampling';
+import validate from './core/validate';
+import { ConsentError, DroppedError } from './core/errors';
 import utils from './utils';
 
 let rootID;
@@ -29,26 +35,40 @@ function getRootID() {
 	return rootID;
 }
 
+/**
+ * Errors are broadcast as `oErrors.log` events, so there's no need to report
+ * them again as unhandled rejections when the promise is ignored.
+ *
+ * @param {Promise} promise - The promise.
+ * @return {Promise} The same promise.
+ */
+function handled(promise) {
+	// eslint-disable-next-line no-empty-function
+	promise.catch(function () {});
+	return promise;
+}
+
 /**
  * Make a tracking request.
  *
  * @param {Object} config - Should be passed an object containing a format and the values for that format
- * @param {function} callback - Fired when the request has been made.
+ * @param {function} callback - Fired when the request has been made, with the request as `this`. Passed a {@link TransportError} if it failed.
  *
- * @return {Object} request
+ * @return {Promise} Resolves with the request once it has been sent, or if it's left to be sent later, e.g. in a batch, once it has been stored. While consent is
+ * pending, it isn't stored, so it resolves once it has been sent after consent is granted. Rejects with a {@link TransportError} if it failed to send, a {@link ConsentError} if it wasn't allowed to be, a {@link DroppedError} if a hook, sampling or a rate limit dropped it, or a {@link ValidationError} if it is invalid in strict developer mode.
  */
 function track(config, callback) {
 	if (utils.isUndefined(callback)) {
 		// eslint-disable-next-line no-empty-function
 		callback = function () {};
 	}
-	const session = Session.session();
+	// Anonymised requests don't identify the visitor, so their ids aren't looked up, which would store them.
+	const anonymous = privacy.anonymised();
+	const session = anonymous ? {} : Session.session();
 
 	// Set up the base request object with some values which should always be sent.
 	const request = {
 		async: true,
-		// eslint-disable-next-line no-empty-function
-		callback: callback || function() {},
 		context: {
 			id: config.id || utils.guid(), // Use a supplied id or generate one for this request
 			root_id: getRootID(),
@@ -61,7 +81,7 @@ function track(config, callback) {
 		device: {
 			spoor_session: session.id,
 			spoor_session_is_new: session.isNew,
-			spoor_id: User.userID(),
+			spoor_id: anonymous ? undefined : User.userID(),
 		},
 	};
 
@@ -80,20 +100,77 @@ function track(config, callback) {
 	// Update the base config with the parameter-supplied config
 	utils.merge(request, config);
 
-	utils.log('Core.Track', request);
+	// The visitor may have asked not to be tracked.
+	const allowed = privacy.apply(request);
+
+	const sent = new Promise(function (resolve, reject) {
+		request.callback = function (error) {
+			callback.call(this, error);
+
+			if (error) {
+				reject(error);
+			} else {
+				resolve(this);
+			}
+		};
+
+		if (!allowed) {
+			utils.log('PrivacySignal', request);
+			return request.callback(new ConsentError(`Dropped ${request.category}:${request.action} event as the visitor has asked not to be tracked`, request));
+		}
+
+		// High-frequency events may be sampled, or limited per session.
+		if (!sampling.sampled(request)) {
+			utils.log('NotSampled', request);
+			return request.callback(new DroppedError(`Dropped ${request.category}:${request.action} event as it wasn't sampled`, request));
+		}
+
+		if (sampling.limited(request)) {
+			utils.log('RateLimited', request);
+			return request.callback(new DroppedError(`Dropped ${request.category}:${request.action} event as the session's limit has been reached`, request));
+		}
+
+		// Let the hooks added with oTracking.use() enrich, rewrite or drop it.
+		middleware.run(request, function (hooked) {
+			if (!hooked) {
+				utils.log('DroppedByHook', request);
+				return request.callback(new DroppedError(`Dropped ${request.category}:${request.action} event in a hook`, request));
+			}
+
+			hooked.callback = request.callback;
+
+			// Check it against the schema for its category and action. This only throws in strict developer mode.
+			try {
+				validate(hooked);
+			} catch (error) {
+				return hooked.callback(error);
+			}
+
+			// Redact personal data, e.g. email addresses in URLs, including any the hooks added.
+			scrub(hooked);
+
+			utils.log('Core.Track', hooked);
 
-	// Send it.
-	Send.addAndRun(request);
+			// Send it. The callback settles the promise once it has been sent. If it will be sent later, it's
+			// stored so it won't be lost in the meantime, and resolves then. While consent is pending it's only
+			// held in memory, so it waits until it's sent or dropped.
+			Send.addAndRun(hooked, function () {
+				resolve(hooked);
+			});
+		});
+	});
 
-	return request;
+	return handled(sent);
 }
 export default {
 	setRootID,
 	getRootID,
+	handled,
 	track
 };
 export {
 	setRootID,
 	getRootID,
+	handled,
 	track
 };
@@ -0,0 +1,210 @@
+import utils from '../utils';
+import Store from './store';
+
+/**
+ * The consent states. While consent is pending, events are held in memory and
+ * nothing is stored.
+ */
+const PENDING = 'pending';
+const GRANTED = 'granted';
+const DENIED = 'denied';
+
+let state = GRANTED;
+let config = {};
+let tcfAnswer;
+let callbackAnswer;
+let listener;
+
+/**
+ * Convert an answer from one of the consent sources to a state.
+ *
+ * @param {boolean|string} answer - true or 'granted', false or 'denied', anything else is no answer.
+ * @return {string|undefined} The state, or undefined if there was no answer.
+ */
+function toState(answer) {
+	if (answer === true || answer === GRANTED) {
+		return GRANTED;
+	}
+
+	if (answer === false || answer === DENIED) {
+		return DENIED;
+	}
+}
+
+/**
+ * Read the consent cookie.
+ *
+ * @return {string|undefined} The state, or undefined if the cookie hasn't been set.
+ */
+function fromCookie() {
+	const cookie = config.cookie;
+	// Cookie names can contain characters which are special in regular expressions, e.g. `.` or `+`.
+	const name = cookie && String(cookie.name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	const value = cookie && utils.getValueFromCookie(new RegExp('(?:^|;\\s*)' + name + '=([^;]*)'));
+
+	// Without the text to look for, nothing in the cookie can mean consent, e.g. `indexOf(undefined)` would match 'undefined'.
+	if (value) {
+		return cookie.granted && utils.decode(value).indexOf(String(cookie.granted)) > -1 ? GRANTED : DENIED;
+	}
+}
+
+/**
+ * Read the consent from a TCF v2 consent management platform's data.
+ *
+ * @param {Object} tcData - The TC data passed to `__tcfapi` listeners.
+ * @return {string|undefined} The state, or undefined if the visitor hasn't chosen yet.
+ */
+function fromTcData(tcData) {
+	if (!tcData || tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') {
+		return;
+	}
+
+	// The CMP says GDPR doesn't apply to this visitor.
+	if (tcData.gdprApplies === false) {
+		return GRANTED;
+	}
+
+	const purposes = config.tcf.purposes || [1];
+	const consents = tcData.purpose && tcData.purpose.consents || {};
+
+	return purposes.every(purpose => consents[purpose]) ? GRANTED : DENIED;
+}
+
+/**
+ * Work out the consent state from the configured sources, in order of
+ * precedence, and tell the listener if it has changed.
+ *
+ * @return {string} The state.
+ */
+function resolve() {
+	let newState = GRANTED;
+
+	// Without any consent config, tracking works as it always has.
+	if (config.state || config.callback || config.tcf || config.cookie) {
+		newState = config.state === PENDING ? PENDING : toState(config.state) || callbackAnswer || tcfAnswer || fromCookie() || PENDING;
+	}
+
+	Store.setWritable(newState === GRANTED);
+
+	if (newState !== state) {
+		state = newState;
+		utils.log('Consent', state);
+
+		if (listener) {
+			listener(state);
+		}
+	}
+
+	return state;
+}
+
+/**
+ * Ask the consent callback, which can answer straight away or later.
+ *
+ * @return {undefined}
+ */
+function askCallback() {
+	callbackAnswer = toState(config.callback(function (answer) {
+		callbackAnswer = toState(answer);
+		resolve();
+	})) || callbackAnswer;
+}
+
+/**
+ * Listen to the TCF v2 consent management platform, if there is one on the page.
+ *
+ * @return {undefined}
+ */
+function listenToTcf() {
+	if (!utils.is(window.__tcfapi, 'function')) {
+		return;
+	}
+
+	window.__tcfapi('addEventListener', 2, function (tcData, success) {
+		if (success) {
+			tcfAnswer = fromTcData(tcData) || tcfAnswer;
+			resolve();
+		}
+	});
+}
+
+/**
+ * Init
+ *
+ * @param {Object} consentConfig - Optional, where to get consent from. Tracking doesn't wait for consent without it.
+ * @param {string} consentConfig.state - Optional, 'granted', 'denied' or 'pending', takes precedence over the other sources.
+ * @param {Function} consentConfig.callback - Optional, returns true or false, or calls the function it is passed with true or false later.
+ * @param {boolean|Object} consentConfig.tcf - Optional, read consent from a TCF v2 CMP. Takes the `purposes` needing consent, defaults to [1].
+ * @param {Object} consentConfig.cookie - Optional, the `name` of a consent cookie, and the text in its value which means consent is `granted`.
+ * @param {Function} onChange - Called with the new state whenever it changes.
+ * @return {string} The consent state.
+ */
+function init(consentConfig, onChange) {
+	listener = onChange;
+	tcfAnswer = undefined;
+	callbackAnswer = undefined;
+	config = {};
+
+	return update(consentConfig, true);
+}
+
+/**
+ * Update the consent config, e.g. when the visitor has made a choice. It is
+ * merged with the existing config.
+ *
+ * @param {Object} consentConfig - See {@link init}.
+ * @param {boolean} initialising - Start listening to the TCF CMP, which only needs doing once.
+ * @return {string} The consent state.
+ */
+function update(consentConfig, initialising) {
+	const tcf = config.tcf;
+	config = utils.merge(utils.merge(config), consentConfig);
+
+	if (utils.is(config.callback, 'function')) {
+		askCallback();
+	}
+
+	if (config.tcf && (initialising || !tcf)) {
+		listenToTcf();
+	}
+
+	return resolve();
+}
+
+/**
+ * Get the consent state.
+ *
+ * @return {string} 'granted', 'denied' or 'pending'.
+ */
+function get() {
+	return state;
+}
+
+/**
+ * Forget the consent state, so tracking works without consent management again.
+ *
+ * @return {undefined}
+ */
+function destroy() {
+	listener = null;
+	init();
+}
+
+export default {
+	PENDING,
+	GRANTED,
+	DENIED,
+	init,
+	update,
+	get,
+	destroy
+};
+export {
+	PENDING,
+	GRANTED,
+	DENIED,
+	init,
+	update,
+	get,
+	destroy
+};
@@ -0,0 +1,65 @@
+import Store from './store';
+
+/**
+ * How many of the most recently delivered request ids to remember.
+ */
+const limit = 100;
+
+let store;
+
+/**
+ * Init
+ *
+ * @return {undefined}
+ */
+function init() {
+	store = new Store('delivered');
+}
+
+/**
+ * Has a request with this id been delivered already, by this or another tab?
+ *
+ * @param {String} id The request's context.id.
+ * @return {boolean} Whether it has been delivered recently.
+ */
+function has(id) {
+	let delivered = false;
+
+	store.load(ids => {
+		delivered = Boolean(ids) && ids.indexOf(id) > -1;
+	});
+
+	return delivered;
+}
+
+/**
+ * Remember that requests have been delivered, forgetting the oldest ids once
+ * there are too many.
+ *
+ * @param {Array} ids The delivered requests' context.ids.
+ * @return {undefined}
+ */
+function add(ids) {
+	store.update(stored => (stored || []).filter(id => ids.indexOf(id) === -1).concat(ids).slice(-limit));
+}
+
+/**
+ * Forget all the delivered ids.
+ * @return {undefined}
+ */
+function destroy() {
+	store.destroy();
+}
+
+export default {
+	init,
+	has,
+	add,
+	destroy
+};
+export {
+	init,
+	has,
+	add,
+	destroy
+};
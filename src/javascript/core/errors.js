@@ -0,0 +1,79 @@
+/**
+ * Set up a custom error type, inheriting from Error.
+ *
+ * @param {Function} ErrorType - The constructor for the error.
+ * @param {String} name - The name of the error type.
+ * @return {Function} The constructor.
+ */
+function inherit(ErrorType, name) {
+	ErrorType.prototype = Object.create(Error.prototype);
+	ErrorType.prototype.constructor = ErrorType;
+	ErrorType.prototype.name = name;
+	return ErrorType;
+}
+
+/**
+ * An event which can't be tracked because it is invalid, e.g. it has no category or action.
+ *
+ * @class ValidationError
+ * @param {String} message - What is wrong with the event.
+ */
+const ValidationError = inherit(function ValidationError(message) {
+	this.message = message;
+	this.stack = new Error(message).stack;
+}, 'ValidationError');
+
+/**
+ * An event which failed to send. It is kept to be retried later, unless it had to be dropped.
+ *
+ * @class TransportError
+ * @param {String} message - Why the event failed to send.
+ * @param {Object} request - The request which failed.
+ * @param {Number} status - Optional, the HTTP status of the response, if there was one.
+ */
+const TransportError = inherit(function TransportError(message, request, status) {
+	this.message = message;
+	this.request = request;
+	this.status = status;
+	this.stack = new Error(message).stack;
+}, 'TransportError');
+
+/**
+ * An event which wasn't sent because the visitor hasn't consented to tracking.
+ *
+ * @class ConsentError
+ * @param {String} message - Why the event wasn't sent.
+ * @param {Object} request - The request which wasn't sent.
+ */
+const ConsentError = inherit(function ConsentError(message, request) {
+	this.message = message;
+	this.request = request;
+	this.stack = new Error(message).stack;
+}, 'ConsentError');
+
+/**
+ * An event which was dropped on purpose, by a hook added with `oTracking.use()`,
+ * because it wasn't sampled, or because the session's rate limit was reached.
+ *
+ * @class DroppedError
+ * @param {String} message - Which event was dropped.
+ * @param {Object} request - The request which was dropped.
+ */
+const DroppedError = inherit(function DroppedError(message, request) {
+	this.message = message;
+	this.request = request;
+	this.stack = new Error(message).stack;
+}, 'DroppedError');
+
+export default {
+	ValidationError,
+	TransportError,
+	ConsentError,
+	DroppedError
+};
+export {
+	ValidationError,
+	TransportError,
+	ConsentError,
+	DroppedError
+};
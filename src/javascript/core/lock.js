@@ -0,0 +1,257 @@
+import utils from '../utils';
+import Store from './store';
+
+/**
+ * Identifies this page to the other tabs sharing a lock.
+ * @type {String}
+ */
+const owner = utils.guid();
+
+/**
+ * The Web Locks each lock has asked for, by name, shared by every instance
+ * with that name.
+ * @type {Object}
+ */
+const webLocks = {};
+
+/**
+ * Whether the listeners which give up Web Locks when the page is hidden
+ * have been added.
+ * @type {boolean}
+ */
+let listening = false;
+
+/**
+ * Give up every Web Lock this page holds, so the page can go into the
+ * back/forward cache and another tab can take over. They are asked for
+ * again the next time they are needed.
+ * @return {undefined}
+ */
+function releaseWebLocks() {
+	Object.keys(webLocks).forEach(function (name) {
+		const webLock = webLocks[name];
+		delete webLocks[name];
+
+		if (webLock.release) {
+			webLock.release();
+		}
+	});
+}
+
+/**
+ * Ask for a Web Lock. If another tab has it, wait for it to be given up,
+ * which happens at the latest when that tab is closed.
+ *
+ * @param {Lock} lock - The lock to ask for.
+ * @return {Object} The state of the request, shared with other instances.
+ */
+function requestWebLock(lock) {
+	const webLock = { granted: false, contended: false, callbacks: [] };
+	webLocks[lock.name] = webLock;
+
+	function hold(granted) {
+		if (!granted) {
+			webLock.contended = true;
+			lock.locks.request(lock.name, hold);
+			return;
+		}
+
+		// Ignore the lock if the page was hidden while waiting for it.
+		if (webLocks[lock.name] !== webLock) {
+			return;
+		}
+
+		webLock.granted = true;
+		webLock.contended = false;
+
+		const held = new Promise(function (resolve) {
+			webLock.release = resolve;
+		});
+
+		webLock.callbacks.splice(0).forEach(function (callback) {
+			callback();
+		});
+
+		return held;
+	}
+
+	if (!listening) {
+		listening = true;
+		utils.addEvent(window, 'pagehide', releaseWebLocks);
+		utils.addEvent(document, 'freeze', releaseWebLocks);
+	}
+
+	lock.locks.request(lock.name, { ifAvailable: true }, hold);
+
+	return webLock;
+}
+
+/**
+ * Is there anywhere to keep the lease? Without it, tabs can't share anything,
+ * such as the queue, so there's nothing to coordinate.
+ *
+ * @param {Lock} lock - The lock.
+ * @return {boolean} Whether the lease is kept in storage shared with other tabs.
+ */
+function isShared(lock) {
+	return lock.storage.storage._type !== 'none';
+}
+
+/**
+ * Class for a lock shared between tabs, so that only one of them does
+ * something at a time.
+ *
+ * Where the browser supports Web Locks, the tab which is given the lock keeps
+ * it until the page is hidden or closed. Otherwise the lock is a lease in
+ * storage which runs out unless it is renewed, so a tab which is closed can't
+ * keep hold of it. Writing the lease and reading it back isn't atomic, so two
+ * tabs can both think they have it: the lease is only best effort, and anything
+ * relying on it must cope with the work occasionally being done twice.
+ *
+ * @class Lock
+ * @param {String} name - The name of the lock.
+ * @param {Number} duration - Optional, how long the lease lasts in milliseconds. Defaults to 10 seconds.
+ * @return {Lock} - Returns the instance of the lock.
+ */
+const Lock = function (name, duration) {
+	if (utils.isUndefined(name)) {
+		const undefinedName = new Error('You must specify a name for the lock.');
+		utils.broadcast('oErrors', 'log', {
+			error: undefinedName.message,
+			info: { module: 'o-tracking' }
+		});
+		throw undefinedName;
+	}
+
+	this.name = 'o-tracking_' + name;
+	this.duration = duration || 10 * 1000;
+
+	/**
+	 * The browser's Web Locks, if it supports them.
+	 * @type {LockManager}
+	 */
+	this.locks = window.navigator && window.navigator.locks;
+
+	/**
+	 * The lease, shared with other tabs.
+	 * @type {Store}
+	 */
+	this.storage = new Store(name + '_lock');
+
+	return this;
+};
+
+/**
+ * Take the lock, or renew it if this tab already has it.
+ *
+ * Web Locks are given asynchronously, so the first time this is called the
+ * lease decides, and the callback is called once the Web Lock is given if
+ * this tab didn't have the lock.
+ *
+ * @param {Function} callback - Optional, called once this tab is given the lock, if it couldn't take it straight away.
+ * @return {boolean} Does this tab have the lock?
+ */
+Lock.prototype.acquire = function (callback) {
+	// Nothing is shared, so there's no need to wait for a Web Lock.
+	if (!isShared(this)) {
+		return true;
+	}
+
+	if (this.locks) {
+		const webLock = webLocks[this.name] || requestWebLock(this);
+
+		if (webLock.granted) {
+			// Keep the lease too, so tabs still waiting to hear about their Web Lock leave it alone.
+			this.take();
+			return true;
+		}
+
+		const held = !webLock.contended && this.take();
+
+		if (!held && callback && webLock.callbacks.indexOf(callback) === -1) {
+			webLock.callbacks.push(callback);
+		}
+
+		return held;
+	}
+
+	return this.take();
+};
+
+/**
+ * Take the lease, or renew it if this tab already has it.
+ *
+ * @return {boolean} Does this tab have the lease?
+ */
+Lock.prototype.take = function () {
+	const now = new Date().getTime();
+
+	this.storage.update(lease => {
+		if (lease && lease.owner !== owner && lease.expires > now) {
+			return lease;
+		}
+
+		return { owner: owner, expires: now + this.duration };
+	});
+
+	// Check the lease again, in case another tab took it at the same time.
+	return this.held();
+};
+
+/**
+ * Does this tab have the lock?
+ *
+ * @return {boolean} Whether the lease belongs to this tab and hasn't run out.
+ */
+Lock.prototype.held = function () {
+	const webLock = this.locks && webLocks[this.name];
+
+	if (webLock && webLock.granted) {
+		return true;
+	}
+
+	if (!isShared(this)) {
+		return true;
+	}
+
+	let held = false;
+
+	this.storage.load(lease => {
+		held = Boolean(lease) && lease.owner === owner && lease.expires > new Date().getTime();
+	});
+
+	return held;
+};
+
+/**
+ * When the current lease runs out, so another tab can take the lock.
+ *
+ * @return {Number} The time the lease expires, or 0 if nobody has the lock.
+ */
+Lock.prototype.expires = function () {
+	let expires = 0;
+
+	this.storage.load(lease => {
+		expires = lease ? lease.expires : 0;
+	});
+
+	return expires;
+};
+
+/**
+ * Let another tab take the lease straight away, if this tab has it. A Web
+ * Lock is kept until the page is hidden, as the browser gives it up anyway if
+ * the tab is closed.
+ *
+ * @return {Lock} - Returns the instance of the lock.
+ */
+Lock.prototype.release = function () {
+	if (this.held()) {
+		this.storage.destroy();
+	}
+
+	return this;
+};
+
+export default Lock;
+export { Lock };
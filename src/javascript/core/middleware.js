@@ -0,0 +1,107 @@
+import utils from '../utils';
+
+const hooks = [];
+
+/**
+ * Report an error thrown by a hook. The hook is skipped, so one broken hook
+ * doesn't stop events being sent.
+ *
+ * @param {Error} error - The error.
+ * @param {Function} hook - The hook which threw it.
+ * @return {undefined}
+ */
+function report(error, hook) {
+	utils.broadcast('oErrors', 'log', {
+		error: error && error.message || String(error),
+		info: { module: 'o-tracking', hook: hook.name }
+	});
+}
+
+/**
+ * Add a hook, which is passed every request before it is sent, after the hooks added before it.
+ *
+ * A hook can change the request it is passed, return a different request to send
+ * instead, or return false to drop it. It can also return a promise of any of these.
+ *
+ * @param {Function} hook - The hook.
+ * @return {undefined}
+ */
+function use(hook) {
+	if (!utils.is(hook, 'function')) {
+		const notFunction = new Error('Hooks must be functions');
+		utils.broadcast('oErrors', 'log', {
+			error: notFunction.message,
+			info: { module: 'o-tracking' }
+		});
+		throw notFunction;
+	}
+
+	hooks.push(hook);
+}
+
+/**
+ * Pass a request through the hooks in order. If none of them are asynchronous,
+ * the callback is called straight away.
+ *
+ * @param {Object} request - The request.
+ * @param {Function} callback - Called with the request to send, or null if a hook dropped it.
+ * @return {undefined}
+ */
+function run(request, callback) {
+	const pending = hooks.slice();
+
+	function next(result) {
+		if (result === false || result === null) {
+			return callback(null);
+		}
+
+		if (result && utils.is(result, 'object')) {
+			request = result;
+		}
+
+		if (!pending.length) {
+			return callback(request);
+		}
+
+		const hook = pending.shift();
+		let returned;
+
+		try {
+			returned = hook(request);
+		} catch (error) {
+			report(error, hook);
+			return next();
+		}
+
+		if (returned && utils.is(returned.then, 'function')) {
+			returned.then(next, function (error) {
+				report(error, hook);
+				next();
+			});
+		} else {
+			next(returned);
+		}
+	}
+
+	next();
+}
+
+/**
+ * Remove all the hooks.
+ *
+ * @return {undefined}
+ */
+function destroy() {
+	hooks.length = 0;
+}
+
+export default {
+	use,
+	run,
+	destroy
+};
+export {
+	use,
+	run,
+	destroy
+};
@@ -0,0 +1,110 @@
+import settings from './settings';
+import utils from '../utils';
+
+/**
+ * What can be done with events when the visitor has asked not to be tracked.
+ */
+const SUPPRESS = 'suppress';
+const ANONYMISE = 'anonymise';
+const ALLOWLIST = 'allowlist';
+
+/**
+ * Get the privacy configuration, merged with the defaults.
+ *
+ * @return {Object|undefined} The policy and the signals it applies to, or undefined if there isn't a privacy mode.
+ */
+function getConfig() {
+	const config = settings.get('config') && settings.get('config').privacy;
+
+	if (!config) {
+		return;
+	}
+
+	return utils.merge({
+		policy: SUPPRESS,
+		signals: ['doNotTrack', 'globalPrivacyControl'],
+		categories: []
+	}, config === true ? {} : config);
+}
+
+/**
+ * Which privacy signal the browser is sending, if any.
+ *
+ * @param {Array} signals - The signals to look for.
+ * @return {String|undefined} 'globalPrivacyControl' or 'doNotTrack', or undefined if neither is on.
+ */
+function signal(signals) {
+	if (signals.indexOf('globalPrivacyControl') > -1 && navigator.globalPrivacyControl === true) {
+		return 'globalPrivacyControl';
+	}
+
+	// Older browsers use 'yes', and IE and old Safari put it elsewhere.
+	const doNotTrack = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+	if (signals.indexOf('doNotTrack') > -1 && (doNotTrack === '1' || doNotTrack === 'yes')) {
+		return 'doNotTrack';
+	}
+}
+
+/**
+ * Are requests anonymised, because that's the policy and the browser is sending a privacy signal?
+ *
+ * @return {boolean} Whether they are.
+ */
+function anonymised() {
+	const config = getConfig();
+
+	return Boolean(config && config.policy === ANONYMISE && signal(config.signals));
+}
+
+/**
+ * Apply the privacy policy to a request, if the browser is sending a privacy
+ * signal. The policy and signal are recorded in the request's `system`.
+ *
+ * @param {Object} request - The request, which is anonymised in place if that's the policy.
+ * @return {boolean} Whether the request may be sent.
+ */
+function apply(request) {
+	const config = getConfig();
+	const found = config && signal(config.signals);
+
+	if (!found) {
+		return true;
+	}
+
+	request.system = request.system || {};
+	request.system.privacy = config.policy;
+	request.system.privacy_signal = found;
+
+	if (config.policy === ANONYMISE) {
+		delete request.user;
+		if (request.device) {
+			delete request.device.spoor_id;
+			delete request.device.spoor_session;
+			delete request.device.spoor_session_is_new;
+		}
+		return true;
+	}
+
+	if (config.policy === ALLOWLIST) {
+		return config.categories.indexOf(request.category) > -1;
+	}
+
+	return false;
+}
+
+export default {
+	SUPPRESS,
+	ANONYMISE,
+	ALLOWLIST,
+	signal,
+	anonymised,
+	apply
+};
+export {
+	SUPPRESS,
+	ANONYMISE,
+	ALLOWLIST,
+	signal,
+	anonymised,
+	apply
+};
@@ -6,9 +6,14 @@ import Store from './store';
  * @class Queue
  *
  * @param {String} name - The name of the queue.
+ * @param {Object} config - Optional, config object for extra configuration
+ * @param {String} config.storage - Optional, the type of storage to use, see {@link Store}.
+ * @param {Number} config.capacity - Optional, the maximum number of items to hold. Defaults to no limit.
+ * @param {String} config.strategy - Optional, which items to drop when full: 'drop-oldest' (the default), 'drop-newest' or 'priority'.
+ * @param {Object} config.priorities - Optional, for the 'priority' strategy. Priorities keyed by 'category' or 'category:action', higher numbers are kept for longer. Defaults to 0.
  * @return {Queue} - Returns the instance of the queue.
  */
-const Queue = function (name) {
+const Queue = function (name, config) {
 	if (utils.isUndefined(name)) {
 		const undefinedName = new Error('You must specify a name for the queue.');
 		utils.broadcast('oErrors', 'log', {
@@ -24,20 +29,185 @@ const Queue = function (name) {
 	 */
 	this.queue = [];
 
+	this.config = utils.merge({ capacity: Infinity, strategy: 'drop-oldest', priorities: {} }, config);
+
 	/**
 	 * The storage method to use. Determines best storage method.
 	 * @type {Object}
 	 */
-	this.storage = new Store(name);
+	this.storage = new Store(name, { storage: this.config.storage });
+
+	/**
+	 * The ids of the items in storage when this tab last read or wrote it, and
+	 * of the items this tab has removed since, for merging with other tabs.
+	 * @type {Object}
+	 */
+	this.synced = {};
+	this.removed = {};
 
 	// Retrieve any previous store with the same name.
 	if (this.storage.read()) {
-		this.queue = this.storage.read();
+		merge(this, this.storage.read());
 	}
 
+	/**
+	 * Asynchronous storage is still being read, so the queue can't be saved yet.
+	 * @type {boolean}
+	 */
+	this.loading = this.storage.async;
+
+	/**
+	 * Callbacks passed to save while the queue is loading, called once it has been saved.
+	 * @type {Array}
+	 */
+	this.saving = [];
+
+	if (this.loading) {
+		/**
+		 * Resolves once the items stored by a previous page have been retrieved.
+		 * @type {Promise}
+		 */
+		this.ready = this.storage.readAsync().then(stored => {
+			// Anything added in the meantime is kept, unless the queue has been replaced.
+			if (!this.replaced) {
+				merge(this, stored);
+			}
+			this.loading = false;
+			enforceCapacity(this);
+			const callbacks = this.saving.splice(0);
+			return this.save(() => callbacks.forEach(callback => callback()));
+		});
+	}
+
+	/**
+	 * Used to tell other tabs when IndexedDB storage has changed, as it has no
+	 * equivalent of the `storage` event.
+	 * @type {BroadcastChannel}
+	 */
+	this.channel = this.storage.async && window.BroadcastChannel ? new window.BroadcastChannel(this.storage.storageKey) : null;
+
+	/**
+	 * Counts of the items dropped because the queue was full, kept until they have been reported.
+	 * @type {Store}
+	 */
+	this.droppedStorage = isFinite(this.config.capacity) ? new Store(name + '_dropped') : null;
+
+	// A queue stored by a previous page may be over capacity.
+	enforceCapacity(this);
+
 	return this;
 };
 
+/**
+ * Label an item by its category and action, for counting dropped items.
+ *
+ * @param {Object} item - The item.
+ * @return {String} The label.
+ */
+function getLabel(item) {
+	return item ? [item.category, item.action].join(':') : ':';
+}
+
+/**
+ * Index queue entries by their ids.
+ *
+ * @param {Array} entries - The entries.
+ * @return {Object} True for each id.
+ */
+function getIds(entries) {
+	const ids = {};
+
+	entries.forEach(function (entry) {
+		ids[entry.id] = true;
+	});
+
+	return ids;
+}
+
+/**
+ * Merge the entries in storage, which other tabs may have added to or removed
+ * from, into the queue. Entries this tab has added or removed since it last
+ * saw the storage are kept that way.
+ *
+ * @param {Queue} queue - The queue.
+ * @param {Array} stored - The stored entries.
+ * @return {undefined}
+ */
+function merge(queue, stored) {
+	// Entries stored before they had ids get one which every tab will agree on.
+	const entries = (stored || []).map(function (entry, i) {
+		entry.id = entry.id || ['stored', entry.created_at, i].join('-');
+		return entry;
+	});
+	const storedIds = getIds(entries);
+	const localIds = getIds(queue.queue);
+
+	// Another tab has added the stored entries this tab hasn't seen.
+	queue.queue = entries.filter(entry => !localIds[entry.id] && !queue.removed[entry.id])
+		// Another tab has removed the entries which were stored before, but aren't now.
+		.concat(queue.queue.filter(entry => !queue.synced[entry.id] || storedIds[entry.id]))
+		.sort((a, b) => a.created_at - b.created_at);
+	queue.synced = storedIds;
+}
+
+/**
+ * Remove an entry from the queue, remembering its id so it isn't merged back in.
+ *
+ * @param {Queue} queue - The queue.
+ * @param {Number} index - The index of the entry to remove.
+ * @return {Object} The removed entry.
+ */
+function remove(queue, index) {
+	const entry = queue.queue.splice(index, 1)[0];
+	queue.removed[entry.id] = true;
+	return entry;
+}
+
+/**
+ * Pick which item to drop when the queue is over capacity.
+ *
+ * @param {Queue} queue - The queue.
+ * @return {Number} The index of the item to drop.
+ */
+function getDropIndex(queue) {
+	if (queue.config.strategy === 'drop-newest') {
+		return queue.queue.length - 1;
+	}
+
+	if (queue.config.strategy === 'priority') {
+		const priorities = queue.config.priorities;
+		const getPriority = function (item) {
+			const label = getLabel(item);
+			const category = label.split(':')[0];
+			return priorities[label] || priorities[category] || 0;
+		};
+		let index = 0;
+
+		// The oldest of the lowest priority items.
+		for (let i = 1; i < queue.queue.length; i = i + 1) {
+			if (getPriority(queue.queue[i].item) < getPriority(queue.queue[index].item)) {
+				index = i;
+			}
+		}
+
+		return index;
+	}
+
+	return 0;
+}
+
+/**
+ * Drop items until the queue is within capacity, according to its strategy.
+ *
+ * @param {Queue} queue - The queue.
+ * @return {undefined}
+ */
+function enforceCapacity(queue) {
+	while (queue.queue.length > queue.config.capacity) {
+		queue.recordDropped(remove(queue, getDropIndex(queue)).item);
+	}
+}
+
 /**
  * Gets the contents of the store.
  *
@@ -98,6 +268,7 @@ Queue.prototype.add = function (item) {
 
 	function doAdd(item) {
 		self.queue.push({
+			id: utils.guid(),
 			created_at: new Date().valueOf(),
 			item: item
 		});
@@ -111,9 +282,74 @@ Queue.prototype.add = function (item) {
 		doAdd(item);
 	}
 
+	enforceCapacity(self);
+
 	return self;
 };
 
+/**
+ * Count an item which was dropped because the queue was full.
+ *
+ * @param {Object} item - The dropped item.
+ *
+ * @return {Queue} - Returns the instance of the queue.
+ */
+Queue.prototype.recordDropped = function (item) {
+	const dropped = this.dropped() || { total: 0, counts: {} };
+	const label = getLabel(item);
+
+	dropped.total += 1;
+	dropped.counts[label] = (dropped.counts[label] || 0) + 1;
+	this.droppedStorage.write(dropped);
+
+	return this;
+};
+
+/**
+ * Gets the counts of items dropped because the queue was full.
+ *
+ * @return {Object} The total, and counts keyed by 'category:action', or null if nothing has been dropped.
+ */
+Queue.prototype.dropped = function () {
+	const dropped = this.droppedStorage && this.droppedStorage.read();
+
+	// A copy, so the counts reported don't change as more items are dropped.
+	return dropped && dropped.total ? JSON.parse(JSON.stringify(dropped)) : null;
+};
+
+/**
+ * Forget about dropped items once they have been reported. Items dropped
+ * since the counts were read are remembered.
+ *
+ * @param {Object} reported - The counts which have been reported.
+ *
+ * @return {Queue} - Returns the instance of the queue.
+ */
+Queue.prototype.clearDropped = function (reported) {
+	const dropped = this.dropped();
+
+	if (!dropped || !reported) {
+		return this;
+	}
+
+	dropped.total -= reported.total;
+	Object.keys(reported.counts).forEach(function (label) {
+		dropped.counts[label] -= reported.counts[label];
+
+		if (dropped.counts[label] <= 0) {
+			delete dropped.counts[label];
+		}
+	});
+
+	if (dropped.total > 0) {
+		this.droppedStorage.write(dropped);
+	} else {
+		this.droppedStorage.destroy();
+	}
+
+	return this;
+};
+
 /**
  * Overwrite the store with something completely new.
  *
@@ -124,6 +360,7 @@ Queue.prototype.add = function (item) {
 Queue.prototype.replace = function (items) {
 	if (utils.is(items, 'object') && items.constructor.toString().match(/array/i)) {
 		this.queue = [];
+		this.replaced = true;
 		this.add(items).save();
 
 		return this;
@@ -147,20 +384,108 @@ Queue.prototype.shift = function () {
 		return null;
 	}
 
-	const item = this.queue.shift().item;
+	const item = remove(this, 0).item;
 
 	this.save();
 
 	return item;
 };
 
+/**
+ * Remove several items from the front of the queue.
+ *
+ * @param {Number} count The maximum number of items to remove.
+ * @param {Function} filter Optional, only remove items this returns true for.
+ *
+ * @return {Array} The items.
+ */
+Queue.prototype.take = function (count, filter) {
+	const items = [];
+	let i = 0;
+
+	while (items.length < count && i < this.queue.length) {
+		if (!filter || filter(this.queue[i].item)) {
+			items.push(remove(this, i).item);
+		} else {
+			i = i + 1;
+		}
+	}
+
+	if (items.length > 0) {
+		this.save();
+	}
+
+	return items;
+};
+
 /**
  * Save the current store to localStorage so that old requests can still be sent after a page refresh.
+ * Other tabs share the same storage, so any items they have added or removed in the meantime are merged in first.
  *
+ * @param {Function} callback - Optional, called once the queue has been written to storage.
  * @return {Queue} - Returns the instance of the queue.
  */
-Queue.prototype.save = function () {
-	this.storage.write(this.queue);
+Queue.prototype.save = function (callback) {
+	// Saved once the stored items have been retrieved, so they aren't overwritten.
+	if (this.loading) {
+		if (callback) {
+			this.saving.push(callback);
+		}
+		return this;
+	}
+
+	this.storage.update(stored => {
+		if (this.replaced) {
+			this.replaced = false;
+		} else {
+			merge(this, stored);
+			enforceCapacity(this);
+		}
+
+		this.synced = getIds(this.queue);
+		this.removed = {};
+
+		// A copy, so the store keeps what was actually saved.
+		return this.queue.slice();
+	}, () => {
+		if (this.channel) {
+			this.channel.postMessage('saved');
+		}
+
+		if (callback) {
+			callback();
+		}
+	});
+
+	return this;
+};
+
+/**
+ * Keep the queue up to date with the items other tabs add to or remove from
+ * the same storage.
+ *
+ * @param {Function} callback - Called whenever another tab has changed the queue.
+ * @return {Queue} - Returns the instance of the queue.
+ */
+Queue.prototype.listen = function (callback) {
+	const refresh = () => {
+		this.storage.load(stored => {
+			if (!this.loading && !this.replaced) {
+				merge(this, stored);
+			}
+			callback();
+		});
+	};
+
+	if (this.channel) {
+		this.channel.onmessage = refresh;
+	} else {
+		utils.addEvent(window, 'storage', event => {
+			if (event.key === this.storage.storageKey) {
+				refresh();
+			}
+		});
+	}
 
 	return this;
 };
@@ -0,0 +1,123 @@
+import Store from './store';
+import settings from './settings';
+import murmurhash from '../../libs/murmurhash';
+
+let store;
+
+/**
+ * Find the setting for an event's `category:action`. An exact match is used
+ * first, then `category:*`, then `*:action`, then `*`.
+ *
+ * @param {Object} settingsByPattern - Settings keyed by `category:action` pattern.
+ * @param {Object} request - The request.
+ * @return {Array} The matching pattern and its setting, or an empty array if nothing matches.
+ */
+function find(settingsByPattern, request) {
+	const patterns = [
+		`${request.category}:${request.action}`,
+		`${request.category}:*`,
+		`*:${request.action}`,
+		'*'
+	];
+
+	for (let i = 0; i < patterns.length; i++) {
+		if (settingsByPattern && typeof settingsByPattern[patterns[i]] === 'number') {
+			return [patterns[i], settingsByPattern[patterns[i]]];
+		}
+	}
+
+	return [];
+}
+
+/**
+ * Get the sampling configuration.
+ *
+ * @return {Object} The `rates` and `limits`, keyed by `category:action` pattern.
+ */
+function getConfig() {
+	return settings.get('config') && settings.get('config').sampling || {};
+}
+
+/**
+ * Is the request in the sample for its `category:action`? The sample is
+ * based on the device's `spoor_id`, so a device is always in or out of it.
+ * The rate is recorded in the request's `system.sample_rate`, so totals can be re-weighted.
+ *
+ * @param {Object} request - The request.
+ * @return {boolean} Whether to send the request.
+ */
+function sampled(request) {
+	const rate = find(getConfig().rates, request)[1];
+
+	if (typeof rate !== 'number') {
+		return true;
+	}
+
+	// Anonymised requests have no spoor_id, so fall back to the session, or the request itself.
+	const device = request.device || {};
+	const id = device.spoor_id || device.spoor_session || request.context && request.context.id || '';
+
+	if (murmurhash(String(id)) / 4294967296 >= rate) {
+		return false;
+	}
+
+	request.system = request.system || {};
+	request.system.sample_rate = rate;
+	return true;
+}
+
+/**
+ * Has the session sent as many requests for this `category:action` as it is
+ * allowed to? If not, the request is counted.
+ *
+ * @param {Object} request - The request.
+ * @return {boolean} Whether the rate limit has been reached, so the request shouldn't be sent.
+ */
+function limited(request) {
+	const match = find(getConfig().limits, request);
+
+	if (!match.length) {
+		return false;
+	}
+
+	const session = request.device && request.device.spoor_session;
+	let reached = false;
+
+	store = store || new Store('rate_limits');
+	store.update(stored => {
+		// The counts start again with each session.
+		const counts = stored && stored.session === session ? stored : { session: session, counts: {} };
+		const count = counts.counts[match[0]] || 0;
+
+		reached = count >= match[1];
+		if (!reached) {
+			counts.counts[match[0]] = count + 1;
+		}
+
+		return counts;
+	});
+
+	return reached;
+}
+
+/**
+ * Forget the rate limit counts.
+ *
+ * @return {undefined}
+ */
+function destroy() {
+	if (store) {
+		store.destroy();
+	}
+}
+
+export default {
+	sampled,
+	limited,
+	destroy
+};
+export {
+	sampled,
+	limited,
+	destroy
+};
@@ -0,0 +1,217 @@
+import settings from './settings';
+import utils from '../utils';
+
+/**
+ * What redacted values are replaced with.
+ */
+const REDACTED = '[redacted]';
+
+/**
+ * The built-in detectors for personal data.
+ */
+const detectors = {
+	// Including URL-encoded addresses in query strings.
+	email: /[A-Z0-9._%+-]+(?:@|%40)[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+	// Digits grouped with spaces or dashes as on a card, 4-4-4-4, 4-4-4-4-3 or 4-6-5, which pass the Luhn check.
+	// Ungrouped digits, such as timestamps, are only redacted from card fields, see cardField.
+	card: /\b\d{4}([ -])\d{4}\1\d{4}\1\d{4}(?:\1\d{3})?\b|\b\d{4}([ -])\d{6}\2\d{4,5}\b/g,
+	// A JSON Web Token's header always starts '{"', which is 'eyJ' in base64.
+	jwt: /\beyJ[\w-]*\.[\w-]+\.[\w-]*/g
+};
+
+/**
+ * The names of context properties which hold card numbers, e.g. `cardNumber` or `cc_num`.
+ */
+const cardField = /card|^cc_?num|^pan$/i;
+
+/**
+ * Could these digits be a card number?
+ *
+ * @param {String} number - The digits, which may be grouped with spaces or dashes.
+ * @return {boolean} Whether they pass the Luhn check.
+ */
+function luhn(number) {
+	const digits = number.replace(/\D/g, '');
+	let sum = 0;
+
+	for (let i = 0; i < digits.length; i++) {
+		let digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+
+		if (i % 2 === 1) {
+			digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+		}
+		sum += digit;
+	}
+
+	return sum % 10 === 0;
+}
+
+/**
+ * Get the scrubbing rules, merged with the defaults.
+ *
+ * @return {Object|undefined} The rules, or undefined if scrubbing is turned off.
+ */
+function getRules() {
+	const config = settings.get('config') && settings.get('config').scrub;
+
+	if (config === false) {
+		return;
+	}
+
+	const rules = utils.merge({
+		detectors: Object.keys(detectors),
+		patterns: [],
+		keys: [],
+		query: null
+	}, config);
+
+	return {
+		detectors: rules.detectors.filter(name => detectors[name]),
+		// The config is stored as JSON, so patterns are strings rather than regular expressions.
+		patterns: rules.patterns.filter(pattern => pattern && utils.is(pattern, 'string')).map(pattern => new RegExp(pattern, 'gi')),
+		keys: rules.keys.map(key => key.toLowerCase()),
+		query: rules.query
+	};
+}
+
+/**
+ * Remove the query parameters which aren't allowed from a URL.
+ *
+ * @param {String} url - The URL.
+ * @param {Array} allowed - The names of the query parameters to keep.
+ * @param {Function} count - Called with 'query' for each parameter removed.
+ * @return {String} The URL without the other parameters.
+ */
+function scrubQuery(url, allowed, count) {
+	const parts = url.match(/^([^?#]*)\?([^#]*)(#.*)?$/);
+
+	if (!parts) {
+		return url;
+	}
+
+	const params = parts[2].split('&').filter(param => {
+		if (!param) {
+			return false;
+		}
+
+		let name = param.split('=')[0];
+		try {
+			name = utils.decode(name);
+		} catch (error) {
+			// Malformed, so it can't be on the allowlist.
+		}
+
+		if (allowed.indexOf(name) > -1) {
+			return true;
+		}
+
+		count('query');
+		return false;
+	});
+
+	return parts[1] + (params.length ? '?' + params.join('&') : '') + (parts[3] || '');
+}
+
+/**
+ * Is a value an ungrouped card number, in a card field?
+ *
+ * @param {String} key - The name of the property it's in.
+ * @param {*} value - The value.
+ * @param {Object} rules - See {@link getRules}.
+ * @return {boolean} Whether it's 13 to 19 digits which pass the Luhn check.
+ */
+function isCardField(key, value, rules) {
+	return rules.detectors.indexOf('card') > -1 && cardField.test(key) && /^\d{13,19}$/.test(String(value)) && luhn(String(value));
+}
+
+/**
+ * Redact a value, or everything in it if it's an object or array. Objects and
+ * arrays are copied, as the caller may still be using them.
+ *
+ * @param {*} value - The value.
+ * @param {Object} rules - See {@link getRules}.
+ * @param {Function} count - Called with the name of the rule for each redaction.
+ * @return {*} The value, redacted.
+ */
+function scrubValue(value, rules, count) {
+	if (Array.isArray(value)) {
+		return value.map(item => scrubValue(item, rules, count));
+	}
+
+	if (Object.prototype.toString.call(value) === '[object Object]') {
+		const scrubbed = {};
+		Object.keys(value).forEach(key => {
+			if (rules.keys.indexOf(key.toLowerCase()) > -1 && value[key] !== null && !utils.is(value[key], 'undefined')) {
+				scrubbed[key] = REDACTED;
+				count('key');
+			} else if (isCardField(key, value[key], rules)) {
+				scrubbed[key] = REDACTED;
+				count('card');
+			} else {
+				scrubbed[key] = scrubValue(value[key], rules, count);
+			}
+		});
+		return scrubbed;
+	}
+
+	if (!utils.is(value, 'string')) {
+		return value;
+	}
+
+	if (rules.query && /^(?:https?:\/\/|\/)\S*\?/.test(value)) {
+		value = scrubQuery(value, rules.query, count);
+	}
+
+	rules.detectors.forEach(name => {
+		value = value.replace(detectors[name], match => {
+			if (name === 'card' && !luhn(match)) {
+				return match;
+			}
+
+			count(name);
+			return REDACTED;
+		});
+	});
+
+	rules.patterns.forEach(pattern => {
+		value = value.replace(pattern, () => {
+			count('pattern');
+			return REDACTED;
+		});
+	});
+
+	return value;
+}
+
+/**
+ * Redact personal data from a request's context, e.g. email addresses in URLs
+ * or link text. How many values were redacted by each rule is recorded in the
+ * request's `system.redactions`.
+ *
+ * @param {Object} request - The request. Its context is replaced with a redacted copy, so the objects it was built
+ * from aren't changed.
+ * @return {Object} The request.
+ */
+function scrub(request) {
+	const rules = getRules();
+
+	if (!rules || !request.context) {
+		return request;
+	}
+
+	const redactions = {};
+	request.context = scrubValue(request.context, rules, name => {
+		redactions[name] = (redactions[name] || 0) + 1;
+	});
+
+	if (Object.keys(redactions).length) {
+		request.system = request.system || {};
+		request.system.redactions = redactions;
+		utils.log('Redacted', redactions);
+	}
+
+	return request;
+}
+
+export default scrub;
+export { scrub, REDACTED };
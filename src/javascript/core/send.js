@@ -1,6 +1,10 @@
 import settings from './settings';
 import utils from '../utils';
 import Queue from './queue';
+import Lock from './lock';
+import delivered from './delivered';
+import consent from './consent';
+import { TransportError, ConsentError } from './errors';
 import transports from './transports';
 
 const isIe11 = function () { return Boolean(window.MSInputMethodContext) && Boolean(document.documentMode); };
@@ -17,88 +21,359 @@ let domain = 'https://spoor-api.ft.com/px.gif';
 let queue;
 
 /**
- * Consistent check to see if we should use sendBeacon or not.
+ * Only the tab holding the lock sends queued requests, so that tabs sharing the
+ * queue don't send the same request.
  *
- * @return {boolean} Should we use sendBeacon?
+ * @type {Lock}
  */
-function should_use_sendBeacon() {
-	return navigator.sendBeacon && Promise && (settings.get('config') || {}).useSendBeacon;
+let lock;
+
+/**
+ * Timer for trying again once another tab's lock runs out.
+ */
+let lockTimer;
+
+/**
+ * Timer for sending a partially filled batch.
+ */
+let batchTimer;
+
+/**
+ * Timer for retrying requests which failed to send.
+ */
+let retryTimer;
+
+/**
+ * The transports to try, most preferred first. Uses `config.transports` if
+ * set, otherwise fetch falling back to xhr then image, with sendBeacon in
+ * front if `config.useSendBeacon` is set.
+ *
+ * @return {Array} The transport names.
+ */
+function getTransportPreferences() {
+	const config = settings.get('config') || {};
+
+	if (config.transports) {
+		return config.transports;
+	}
+
+	return config.useSendBeacon ? ['sendBeacon', 'fetch', 'xhr', 'image'] : ['fetch', 'xhr', 'image'];
 }
 
 /**
- * Attempts to send a tracking request.
+ * Consistent check for which transport we should use.
  *
- * @param {Object} request The request to be sent.
- * @param {Function} callback Callback to fire the next item in the queue.
- * @return {undefined}
+ * @return {string} The name of the transport.
  */
-function sendRequest(request, callback) {
-	const queueTime = request.queueTime;
-	const offlineLag = new Date().getTime() - queueTime;
+function getTransportName() {
+	return transports.choose(getTransportPreferences());
+}
 
-	const transport = should_use_sendBeacon() ? transports.get('sendBeacon')() :
-		window.XMLHttpRequest && 'withCredentials' in new window.XMLHttpRequest() ? transports.get('xhr')() :
-			transports.get('image')();
-	const user_callback = request.callback;
+/**
+ * Get the batching configuration, if batching has been turned on.
+ *
+ * @return {Object|null} The batch size and timeout, or null if requests should be sent one at a time.
+ */
+function getBatchConfig() {
+	const batch = (settings.get('config') || {}).batch;
+
+	// The image transport can't carry an array of events, and IE11 falls back to it if xhr fails.
+	if (!batch || isIe11() || getTransportName() === 'image') {
+		return null;
+	}
+
+	return utils.merge({ size: 10, timeout: 1000 }, batch === true ? {} : batch);
+}
+
+/**
+ * Create the preferred transport for a request.
+ *
+ * @param {string} name Optional, the name of the transport to use instead of the preferred one.
+ * @return {Object} The transport.
+ */
+function getTransport(name) {
+	return transports.get(name || getTransportName())();
+}
+
+/**
+ * Decorate a queued request with the system and time properties, and strip
+ * out the properties which are only used internally.
+ *
+ * @param {Object} request The queued request.
+ * @param {string} transportName The name of the transport which will send the request.
+ * @return {Object} The request, ready to be serialised.
+ */
+function prepareRequest(request, transportName) {
+	const offlineLag = new Date().getTime() - request.queueTime;
+	const attempt = (request.retry ? request.retry.attempts : 0) + 1;
 
 	const core_system = settings.get('config') && settings.get('config').system || {};
-	const system = utils.merge(core_system, {
+	// Each request gets its own system object, so that nothing set on one request leaks into the config or other requests.
+	const system = utils.merge(utils.merge(core_system), {
 		api_key: settings.get('api_key'), // String - API key - Make sure the request is from a valid client (idea nicked from Keen.io) useful if a page gets copied onto a Russian website and creates noise
 		version: settings.get('version'), // Version of the tracking client e.g. '1.2'
 		source: settings.get('source'), // Source of the tracking client e.g. 'o-tracking'
-		transport: transport.name, // The transport method used.
+		transport: transportName, // The transport method used.
 	});
 
 	request = utils.merge({ system: system }, request);
 
+	// Which attempt this is at sending the request, so that duplicates can be spotted downstream.
+	request.system.attempt = attempt;
+
 	// Only bothered about offlineLag if it's longer than a second, but less than 12 months. (Especially as Date can be dodgy)
 	if (offlineLag > 1000 && offlineLag < 12 * 30 * 24 * 60 * 60 * 1000) {
-		request.time = request.time || {};
-		request.time.offset = offlineLag;
+		// A copy, so that the offset isn't left on the queued request if it's retried.
+		request.time = utils.merge(utils.merge(request.time || {}), { offset: offlineLag });
 	}
 	delete request.callback;
 	delete request.async;
 	delete request.type;
 	delete request.queueTime;
+	delete request.retry;
+
+	return request;
+}
+
+/**
+ * Get the retry configuration, merged with the defaults.
+ *
+ * @return {Object} The maximum attempts and age of a request, and the delays between attempts.
+ */
+function getRetryConfig() {
+	return utils.merge({
+		maxAttempts: 10,
+		maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+		delay: 1000,
+		maxDelay: 60 * 60 * 1000 // 1 hour
+	}, (settings.get('config') || {}).retry);
+}
+
+/**
+ * Has the request been waiting to be sent for too long?
+ *
+ * @param {Object} request The queued request.
+ * @return {boolean} Is the request too old to send?
+ */
+function isExpired(request) {
+	return new Date().getTime() - request.queueTime > getRetryConfig().maxAge;
+}
+
+/**
+ * Can the request be sent now, or is it waiting to be retried later?
+ *
+ * @param {Object} request The queued request.
+ * @return {boolean} Can the request be sent?
+ */
+function isEligible(request) {
+	return !request.retry || request.retry.next <= new Date().getTime();
+}
+
+/**
+ * Give up on a request, and say why.
+ *
+ * @param {Object} request The request to drop.
+ * @param {string} reason Why it was dropped.
+ * @return {undefined}
+ */
+function drop(request, reason) {
+	utils.broadcast('oErrors', 'log', {
+		error: `Dropped ${request.category}:${request.action} event ${reason}`,
+		info: { module: 'o-tracking' }
+	});
+}
+
+/**
+ * Run the queue again when the next request waiting to be retried is due.
+ * @return {undefined}
+ */
+function scheduleRetry() {
+	const due = queue.all().filter(request => request && request.retry).map(request => request.retry.next);
+
+	clearTimeout(retryTimer);
+	retryTimer = null;
+
+	if (due.length > 0) {
+		retryTimer = setTimeout(function () {
+			retryTimer = null;
+			run();
+		}, Math.max(0, Math.min.apply(null, due) - new Date().getTime()));
+	}
+}
+
+/**
+ * Copy a request which failed to send as it was queued, rather than as it was
+ * prepared, so that the next attempt isn't sent with the transport or dropped
+ * counts of this one. Its callback has already been fired, so is left out.
+ *
+ * @param {Object} request The queued request.
+ * @return {Object} The request to retry.
+ */
+function unsent(request) {
+	const copy = utils.merge({}, request);
+	delete copy.callback;
+	return copy;
+}
+
+/**
+ * Put a failed request back on the queue, to be tried again after an
+ * exponentially increasing delay. Requests which have run out of attempts, or
+ * are too old, are dropped instead.
+ *
+ * @param {Object} request The failed request, with its original queueTime and retry state.
+ * @return {undefined}
+ */
+function retryLater(request) {
+	const config = getRetryConfig();
+	const attempts = (request.retry ? request.retry.attempts : 0) + 1;
+
+	if (attempts >= config.maxAttempts) {
+		return drop(request, `after ${attempts} failed attempts`);
+	}
+
+	if (isExpired(request)) {
+		return drop(request, 'as it is too old');
+	}
+
+	// Wait somewhere between half and all of the backoff, so that clients which failed together don't retry together.
+	const backoff = Math.min(config.maxDelay, config.delay * Math.pow(2, attempts - 1));
+	request.retry = {
+		attempts: attempts,
+		next: new Date().getTime() + backoff / 2 + Math.random() * backoff / 2
+	};
+
+	queue.add(request).save();
+	scheduleRetry();
+}
+
+/**
+ * Add the counts of events dropped because the queue was full to a request.
+ *
+ * @param {Object} request The prepared request.
+ * @return {Object} The counts reported, to clear once the request has been sent.
+ */
+function reportDropped(request) {
+	const dropped = queue.dropped();
+
+	if (dropped) {
+		request.system.dropped = dropped;
+	}
+
+	return dropped;
+}
+
+/**
+ * Get the ids of requests, to remember once they have been delivered.
+ *
+ * @param {Array} requests The requests.
+ * @return {Array} Their context ids.
+ */
+function getIds(requests) {
+	return requests.filter(request => request.context && request.context.id).map(request => request.context.id);
+}
+
+/**
+ * Skip a request which has been delivered already, e.g. by another tab or
+ * because a retry was queued. Its callback is still fired, as the request has
+ * been made.
+ *
+ * @param {Object} request The queued request.
+ * @return {boolean} Was the request skipped?
+ */
+function skipDelivered(request) {
+	if (getIds([request]).length === 0 || !delivered.has(request.context.id)) {
+		return false;
+	}
+
+	utils.log('AlreadyDelivered', request);
+
+	if (utils.is(request.callback, 'function')) {
+		request.callback();
+	}
+
+	return true;
+}
+
+/**
+ * Whether requests should actually be sent. Both developer and noSend flags
+ * have to be set to stop the request sending.
+ *
+ * @return {boolean} Should we send?
+ */
+function should_send() {
+	return !(settings.get('developer') && settings.get('no_send'));
+}
+
+/**
+ * Attempts to send a tracking request.
+ *
+ * @param {Object} request The request to be sent.
+ * @param {Function} callback Callback to fire the next item in the queue. Passed an error if the request failed.
+ * @param {string} transportName Optional, the transport to use instead of the preferred one.
+ * @return {undefined}
+ */
+function sendRequest(request, callback, transportName) {
+	if (skipDelivered(request)) {
+		return callback && callback();
+	}
+
+	const unprepared = request;
+	const transport = getTransport(transportName);
+	const user_callback = request.callback;
+
+	request = prepareRequest(request, transport.name);
+	const dropped = reportDropped(request);
 
 	utils.log('user_callback', user_callback);
 	utils.log('PreSend', request);
 
 	const stringifiedData = JSON.stringify(request);
 
-	transport.complete(function (error) {
+	const onComplete = function (error) {
+		// If IE11 XHR error, the image method is tried, so the request hasn't failed yet.
+		const fallback = error && isIe11() && transport.name === 'xhr';
+
 		if (utils.is(user_callback, 'function')) {
-			user_callback.call(request);
+			user_callback.call(request, error && !fallback ? new TransportError(error.message, request, error.status) : undefined);
 			utils.log('calling user_callback');
 		}
 
 		if (error) {
 			// If IE11 XHR error, try using image method
-			if (isIe11() && transport.name === 'xhr') {
+			if (fallback) {
 				const image_method = transports.get('image')();
 				// Append image label to transport value so that we know it tried xhr first
 				request.system.transport = [request.system.transport,image_method.name].join('-');
 				image_method.send(url, JSON.stringify(request));
 				image_method.complete(function () {
+					delivered.add(getIds([request]));
+					queue.clearDropped(dropped);
 					if (callback) {
 						callback();
 					}
 				});
 			} else {
-				// Re-add to the queue if it failed.
-				// Re-apply queueTime here
-				request.queueTime = queueTime;
-				queue.add(request).save();
-
 				utils.broadcast('oErrors', 'log', {
 					error: error.message,
 					info: { module: 'o-tracking' }
 				});
+
+				// Re-add to the queue if it failed, as it was queued, so that it's prepared afresh for the next attempt.
+				retryLater(unsent(unprepared));
+				lock.release();
+
+				if (callback) {
+					callback(error);
+				}
+			}
+		} else {
+			delivered.add(getIds([request]));
+			queue.clearDropped(dropped);
+			if (callback) {
+				callback();
 			}
-		} else if (callback) {
-			callback();
 		}
-	});
+	};
 	let url = domain;
 
 	if (request && request.category && request.action) {
@@ -106,9 +381,65 @@ function sendRequest(request, callback) {
 		url = url.indexOf('?') > -1 ? `${url}&${type}` : `${url}?${type}`;
 	}
 
-	// Both developer and noSend flags have to be set to stop the request sending.
-	if (!(settings.get('developer') && settings.get('no_send'))) {
+	if (should_send()) {
+		transport.complete(onComplete);
 		transport.send(url, stringifiedData);
+	} else {
+		// Nothing is sent, so the request is finished with straight away.
+		onComplete();
+	}
+}
+
+/**
+ * Attempts to send several tracking requests at once, as a JSON array.
+ *
+ * @param {Array} requests The requests to be sent.
+ * @param {Function} callback Callback to fire the next batch in the queue. Passed an error if the requests failed.
+ * @param {string} transportName Optional, the transport to use instead of the preferred one.
+ * @return {undefined}
+ */
+function sendBatch(requests, callback, transportName) {
+	const transport = getTransport(transportName);
+	const user_callbacks = requests.map(request => request.callback);
+	const prepared = requests.map(request => prepareRequest(request, transport.name));
+	const dropped = reportDropped(prepared[0]);
+
+	utils.log('PreSend', prepared);
+
+	const onComplete = function (error) {
+		prepared.forEach((request, i) => {
+			if (utils.is(user_callbacks[i], 'function')) {
+				user_callbacks[i].call(request, error ? new TransportError(error.message, request, error.status) : undefined);
+			}
+		});
+
+		if (error) {
+			utils.broadcast('oErrors', 'log', {
+				error: error.message,
+				info: { module: 'o-tracking' }
+			});
+
+			// Re-add them all to the queue as they were queued, to be prepared afresh.
+			requests.forEach(request => retryLater(unsent(request)));
+			lock.release();
+
+			if (callback) {
+				callback(error);
+			}
+		} else {
+			delivered.add(getIds(prepared));
+			queue.clearDropped(dropped);
+			if (callback) {
+				callback();
+			}
+		}
+	};
+
+	if (should_send()) {
+		transport.complete(onComplete);
+		transport.send(domain, JSON.stringify(prepared));
+	} else {
+		onComplete();
 	}
 }
 
@@ -116,18 +447,171 @@ function sendRequest(request, callback) {
  * Adds a new request to the list of pending requests
  *
  * @param {Tracking} request The request to queue
+ * @param {Function} stored Optional, called once the request has been written to storage. Not called while
+ * consent is pending, as the request is only held in memory then.
  * @return {undefined}
  */
-function add(request) {
+function add(request, stored) {
 	request.queueTime = new Date().getTime();
-	if (should_use_sendBeacon()) {
+
+	if (consent.get() === consent.DENIED) {
+		return refuse(request);
+	}
+
+	// Without consent yet, the request is held in the queue, which is only kept in memory.
+	if (getTransportName() === 'sendBeacon' && !getBatchConfig() && consent.get() === consent.GRANTED) {
 		sendRequest(request);
 	} else {
-		queue.add(request).save();
+		queue.add(request).save(consent.get() === consent.GRANTED ? stored : undefined);
+
+		// The queue was full, and this was the request to drop.
+		if (!isQueued(request) && utils.is(request.callback, 'function')) {
+			request.callback(new TransportError(`Dropped ${request.category}:${request.action} event as the queue is full`, request));
+		}
+
+		// Events tracked as the page is hidden, e.g. the total attention time, come after the queue has been flushed.
+		if (document.visibilityState === 'hidden') {
+			flush();
+		}
 	}
 	utils.log('AddedToQueue', queue);
 }
 
+/**
+ * Drop a request as the visitor doesn't consent to tracking.
+ *
+ * @param {Object} request The request.
+ * @return {undefined}
+ */
+function refuse(request) {
+	utils.log('NoConsent', request);
+
+	if (utils.is(request.callback, 'function')) {
+		request.callback(new ConsentError(`Dropped ${request.category}:${request.action} event as tracking is not consented to`, request));
+	}
+}
+
+/**
+ * Consent has been granted, so store the requests which were held in memory
+ * and send them.
+ *
+ * @return {undefined}
+ */
+function release() {
+	queue.save();
+	run();
+}
+
+/**
+ * Consent has been denied, so drop everything queued and clear it from storage.
+ *
+ * @return {undefined}
+ */
+function clear() {
+	queue.take(Infinity).forEach(refuse);
+	queue.storage.destroy();
+
+	if (queue.droppedStorage) {
+		queue.droppedStorage.destroy();
+	}
+
+	delivered.destroy();
+}
+
+/**
+ * Is the request waiting in the queue to be sent later, e.g. in a batch or by another tab?
+ *
+ * @param {Object} request The request.
+ * @return {boolean} Whether it is queued.
+ */
+function isQueued(request) {
+	return queue.all().indexOf(request) > -1;
+}
+
+/**
+ * Take the lock for sending queued requests, or if another tab has it, try
+ * again once it is given to this tab or runs out.
+ *
+ * @return {boolean} Can this tab send queued requests?
+ */
+function acquireLock() {
+	clearTimeout(lockTimer);
+	lockTimer = null;
+
+	if (lock.acquire(run)) {
+		return true;
+	}
+
+	// Web Locks call back once this tab is given the lock, so there's no need to check.
+	if (lock.locks) {
+		return false;
+	}
+
+	lockTimer = setTimeout(function () {
+		lockTimer = null;
+		run();
+	}, Math.max(0, lock.expires() - new Date().getTime()) + 100);
+
+	return false;
+}
+
+/**
+ * Send the queued requests in batches. A batch is sent as soon as the queue
+ * holds enough requests to fill it, otherwise whatever is queued is sent once
+ * the batch timeout has passed.
+ *
+ * @param {Object} batch The batch size and timeout.
+ * @param {boolean} force Send whatever is queued, even if it won't fill a batch.
+ * @param {Function} callback Fired once there is nothing left to send right now.
+ * @return {undefined}
+ */
+function runBatch(batch, force, callback) {
+	const pending = queue.all().filter(isEligible).length;
+
+	if (pending === 0) {
+		lock.release();
+		scheduleRetry();
+		return callback();
+	}
+
+	if (pending < batch.size && !force) {
+		if (!batchTimer) {
+			batchTimer = setTimeout(function () {
+				batchTimer = null;
+				// eslint-disable-next-line no-empty-function
+				runBatch(batch, true, function () {});
+			}, batch.timeout);
+		}
+		return callback();
+	}
+
+	clearTimeout(batchTimer);
+	batchTimer = null;
+
+	if (consent.get() !== consent.GRANTED || !acquireLock()) {
+		return callback();
+	}
+
+	const requests = queue.take(batch.size, isEligible).filter(request => !skipDelivered(request));
+	const next = function (error) {
+		// Stop if they failed, they'll be retried later.
+		if (!error) {
+			runBatch(batch, force, callback);
+		}
+	};
+
+	if (requests.length === 0) {
+		return next();
+	}
+
+	// No point wrapping a single request up in an array.
+	if (requests.length === 1) {
+		return sendRequest(requests[0], next);
+	}
+
+	return sendBatch(requests, next);
+}
+
 /**
  * If there are any requests queued, attempts to send the next one
  * Otherwise, does nothing
@@ -140,45 +624,34 @@ function run(callback) {
 		callback = function () {};
 	}
 
-	// Investigate queue lengths bug
-	// https://jira.ft.com/browse/DTP-330
-	const all_events = queue.all();
-
-	if (all_events.length > 200) {
-		const counts = {};
-
-		all_events.forEach(function (event) {
-			const label = [event.category, event.action].join(':');
-
-			if (!Object.prototype.hasOwnProperty.call(counts, label)) {
-				counts[label] = 0;
-			}
+	// Requests are held until the visitor consents, or another tab is sending them.
+	if (consent.get() !== consent.GRANTED || !acquireLock()) {
+		return callback();
+	}
 
-			counts[label] += 1;
-		});
+	queue.take(Infinity, isExpired).forEach(function (request) {
+		drop(request, 'as it is too old');
+	});
 
-		queue.replace([]);
+	const batch = getBatchConfig();
 
-		queue.add({
-			category: 'o-tracking',
-			action: 'queue-bug',
-			context: {
-				url: document.url,
-				queue_length: all_events.length,
-				counts: counts,
-				storage: queue.storage.storage._type
-			}
-		});
+	if (batch) {
+		return runBatch(batch, false, callback);
 	}
 
-	const next = function () {
-		run();
-		callback();
+	const next = function (error) {
+		// Stop if it failed, it'll be retried later.
+		if (!error) {
+			run();
+			callback();
+		}
 	};
-	const nextRequest = queue.shift();
+	const nextRequest = queue.take(1, isEligible)[0];
 
-	// Cancel if we've run out of requests.
+	// Cancel if we've run out of requests that can be sent now.
 	if (!nextRequest) {
+		lock.release();
+		scheduleRetry();
 		return callback();
 	}
 
@@ -186,15 +659,90 @@ function run(callback) {
 	return sendRequest(nextRequest, next);
 }
 
+/**
+ * Send everything queued straight away, using the preferred transport which
+ * keeps going after the page has been unloaded, if there is one. Used when the
+ * page is hidden, as the user may never come back. Requests waiting to be
+ * retried are left until they're due, unless the page is being unloaded.
+ *
+ * @param {Function} callback - Optional, fired once every request has been sent or has failed.
+ * @param {boolean} unloading - Optional, if `true`, requests waiting to be retried are sent too.
+ * @return {undefined}
+ */
+function flush(callback, unloading) {
+	if (utils.isUndefined(callback)) {
+		// eslint-disable-next-line no-empty-function
+		callback = function () {};
+	}
+
+	// Requests are held until the visitor consents, or another tab is sending them, and it's still open.
+	if (!queue || consent.get() !== consent.GRANTED || !acquireLock()) {
+		return callback();
+	}
+
+	clearTimeout(batchTimer);
+	batchTimer = null;
+
+	// Without one which survives unload, the preferred transport is used as normal.
+	const transportName = transports.chooseForUnload(getTransportPreferences());
+	const batch = getBatchConfig();
+	const requests = queue.take(Infinity, unloading ? undefined : isEligible).filter(request => !skipDelivered(request));
+	const groups = [];
+
+	while (requests.length > 0) {
+		groups.push(requests.splice(0, batch ? batch.size : 1));
+	}
+
+	let pending = groups.length;
+	const done = function () {
+		pending = pending - 1;
+
+		if (pending === 0) {
+			lock.release();
+			callback();
+		}
+	};
+
+	if (pending === 0) {
+		lock.release();
+		return callback();
+	}
+
+	groups.forEach(function (group) {
+		if (group.length === 1) {
+			sendRequest(group[0], done, transportName);
+		} else {
+			sendBatch(group, done, transportName);
+		}
+	});
+}
+
 /**
  * Convenience function to add and run a request all in one go.
  *
  * @param {Object} request The request to queue and run.
+ * @param {Function} deferred Optional, called if the request is left waiting to be sent later, e.g. in a batch or
+ * by another tab, once it has been written to storage. Requests being sent now fire their callback when they
+ * have been sent instead.
  * @return {undefined}
  */
-function addAndRun(request) {
-	add(request);
+function addAndRun(request, deferred) {
+	let stored = false;
+	let ran = false;
+	const waiting = function () {
+		if (stored && ran && deferred && isQueued(request)) {
+			deferred();
+		}
+	};
+
+	// Synchronous storage is written before the request has had a chance to be sent, so check once it has.
+	add(request, function () {
+		stored = true;
+		waiting();
+	});
 	run();
+	ran = true;
+	waiting();
 }
 
 function setDomain() {
@@ -208,7 +756,22 @@ function setDomain() {
  * @return {undefined}
  */
 function init() {
-	queue = new Queue('requests');
+	const config = settings.get('config') || {};
+	queue = new Queue('requests', utils.merge({ capacity: 200, storage: config.storage }, config.queue));
+	lock = new Lock('requests');
+	delivered.init();
+
+	// Other tabs share the queue, so send what they add if this tab has the lock.
+	queue.listen(function () {
+		run();
+	});
+
+	// Send anything stored by a previous page once asynchronous storage has been read.
+	if (queue.ready) {
+		queue.ready.then(function () {
+			run();
+		});
+	}
 
 	setDomain();
 
@@ -217,6 +780,19 @@ function init() {
 		run();
 	});
 
+	// Send anything still queued when the page is hidden or unloaded, as the user may not come back.
+	utils.addEvent(document, 'visibilitychange', function () {
+		if (document.visibilityState === 'hidden') {
+			flush();
+		}
+	});
+	utils.addEvent(window, 'pagehide', function () {
+		flush(undefined, true);
+	});
+	utils.addEvent(document, 'freeze', function () {
+		flush(undefined, true);
+	});
+
 	// On startup, try sending any requests queued from a previous session.
 	run();
 
@@ -232,7 +808,11 @@ export default {
 	setDomain,
 	getDomain,
 	add,
+	isQueued,
 	run,
+	flush,
+	release,
+	clear,
 	addAndRun
 };
 export {
@@ -240,6 +820,10 @@ export {
 	setDomain,
 	getDomain,
 	add,
+	isQueued,
 	run,
+	flush,
+	release,
+	clear,
 	addAndRun
 };
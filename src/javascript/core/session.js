@@ -85,8 +85,18 @@ function init(config) {
 
 	return getSession();
 }
+
+/**
+ * Delete the current session.
+ * @return {void}
+ */
+function destroy() {
+	store.destroy();
+}
+
 export default {
 	init,
-	session: getSession
+	session: getSession,
+	destroy
 };
-export { getSession as session, init };
+export { getSession as session, init, destroy };
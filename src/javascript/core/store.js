@@ -1,8 +1,265 @@
 import utils from '../utils';
 
+/**
+ * Internal Storage key prefix.
+ */
+const keyPrefix = 'o-tracking';
+
+/**
+ * The IndexedDB database connection, shared by all stores.
+ * @type {Promise}
+ */
+let database;
+
+/**
+ * The IndexedDB factory the database connection was opened with.
+ * @type {IDBFactory}
+ */
+let databaseFactory;
+
+/**
+ * Open the IndexedDB database, which has a single object store holding
+ * every store's data by key.
+ *
+ * @param {IDBFactory} indexedDB - The IndexedDB factory.
+ * @return {Promise} Resolves with the database.
+ */
+function openDatabase(indexedDB) {
+	if (!database || databaseFactory !== indexedDB) {
+		databaseFactory = indexedDB;
+		database = new Promise((resolve, reject) => {
+			const request = indexedDB.open('o-tracking', 1);
+			request.onupgradeneeded = function () {
+				request.result.createObjectStore('store');
+			};
+			request.onsuccess = function () {
+				resolve(request.result);
+			};
+			request.onerror = function () {
+				reject(request.error);
+			};
+		});
+	}
+
+	return database;
+}
+
+/**
+ * Asynchronous storage using IndexedDB.
+ *
+ * @param {IDBFactory} indexedDB - The IndexedDB factory.
+ * @return {Object} The storage method.
+ */
+function indexedDBStorage(indexedDB) {
+	function transact(mode, action) {
+		return openDatabase(indexedDB).then(db => new Promise((resolve, reject) => {
+			const transaction = db.transaction('store', mode);
+			const request = action(transaction.objectStore('store'));
+			transaction.oncomplete = function () {
+				resolve(request.result);
+			};
+			transaction.onerror = function () {
+				reject(transaction.error);
+			};
+			// e.g. when the quota is exceeded, or the page is closed, which doesn't always fire error.
+			transaction.onabort = function () {
+				reject(transaction.error || new Error('IndexedDB transaction aborted'));
+			};
+		}));
+	}
+
+	return {
+		_type: 'indexedDB',
+		async: true,
+		load: function (name) {
+			return transact('readonly', store => store.get(name));
+		},
+		save: function (name, value) {
+			return transact('readwrite', store => store.put(value, name));
+		},
+		remove: function (name) {
+			return transact('readwrite', store => store.delete(name));
+		},
+		// Read and write in one transaction, so another tab can't write in between.
+		update: function (name, fn) {
+			return transact('readwrite', store => {
+				const request = store.get(name);
+				request.onsuccess = function () {
+					store.put(fn(request.result), name);
+				};
+				return request;
+			});
+		}
+	};
+}
+
+/**
+ * Copy data to store in IndexedDB, which stores it as it is rather than as
+ * JSON. Functions, such as request callbacks, can't be stored, so they are left
+ * out as they would be from JSON.
+ *
+ * @param {*} value - The data.
+ * @return {*} The data without any functions.
+ */
+function toStorable(value) {
+	if (Array.isArray(value)) {
+		return value.map(toStorable);
+	}
+
+	if (value && typeof value === 'object') {
+		const copy = {};
+
+		Object.keys(value).forEach(key => {
+			if (typeof value[key] !== 'function') {
+				copy[key] = toStorable(value[key]);
+			}
+		});
+
+		return copy;
+	}
+
+	return typeof value === 'function' ? undefined : value;
+}
+
+/**
+ * Whether stores may write to storage. Without consent, data is only kept in memory.
+ * @type {boolean}
+ */
+let writable = true;
+
+/**
+ * Parse data loaded from storage.
+ *
+ * @param {String} value - The stored value.
+ * @return {*} The parsed data, or the value itself if it isn't JSON.
+ */
+function parse(value) {
+	try {
+		return JSON.parse(value);
+	} catch (error) {
+		utils.broadcast('oErrors', 'log', {
+			error: error.message,
+			module: 'o-tracking'
+		});
+		return value;
+	}
+}
+
+/**
+ * Get data loaded from storage. Synchronous storage, and IndexedDB written to
+ * by older versions, hold it as JSON.
+ *
+ * @param {*} value - The stored value.
+ * @return {*} The data.
+ */
+function fromStored(value) {
+	return typeof value === 'string' ? parse(value) : value;
+}
+
+/**
+ * Choose the best synchronous storage method: localStorage, or else cookies.
+ *
+ * @param {Object} config - The store's config.
+ * @param {Window} window - The window.
+ * @return {Object} The storage method.
+ */
+function synchronousStorage(config, window) {
+	const test_key = keyPrefix + '_InternalTest';
+
+	// If cookie has been manually specified, don't bother with local storage.
+	if (config.storage !== 'cookie') {
+		try {
+			if (window.localStorage) {
+				window.localStorage.setItem(test_key, 'TEST');
+
+				if (window.localStorage.getItem(test_key) === 'TEST') {
+					window.localStorage.removeItem(test_key);
+					return {
+						_type: 'localStorage',
+						load: function (name) {
+							return window.localStorage.getItem(name);
+						},
+						save: function (name, value) {
+							return window.localStorage.setItem(name, value);
+						},
+						remove: function (name) {
+							return window.localStorage.removeItem(name);
+						}
+					};
+				}
+			}
+		} catch (error) {
+			utils.broadcast('oErrors', 'log', {
+				error: error.message,
+				info: { module: 'o-tracking' }
+			});
+		}
+	}
+
+	function cookieLoad(name) {
+		name = name + '=';
+
+		const cookies = window.document.cookie.split(';');
+		let i;
+		let cookie;
+
+		for (i = 0; i < cookies.length; i = i + 1) {
+			cookie = cookies[i].replace(/^\s+|\s+$/g, '');
+			if (cookie.indexOf(name) === 0) {
+				return utils.decode(cookie.substring(name.length, cookie.length));
+			}
+		}
+
+		return null;
+	}
+
+	function cookieSave(name, value, expiry) {
+		let d;
+		let expires = '';
+
+		if (utils.is(expiry, 'number')) {
+			d = new Date();
+			d.setTime(d.getTime() + expiry);
+			expires = 'expires=' + d.toGMTString() + ';';
+		}
+
+		const cookie = utils.encode(name) + '=' + utils.encode(value) + ';' + expires + 'path=/;' + (config.domain ? 'domain=.' + config.domain + ';' : '');
+		window.document.cookie = cookie;
+	}
+
+	function cookieRemove(name) {
+		cookieSave(name, '', -1);
+	}
+
+	cookieSave(test_key, 'TEST');
+
+	if (cookieLoad(test_key) === 'TEST') {
+		cookieRemove(test_key);
+
+		return {
+			_type: 'cookie',
+			load: cookieLoad,
+			save: cookieSave,
+			remove: cookieRemove
+		};
+	}
+
+	return {
+		_type: 'none',
+		// eslint-disable-next-line no-empty-function
+		load: function () {},
+		// eslint-disable-next-line no-empty-function
+		save: function () {},
+		// eslint-disable-next-line no-empty-function
+		remove: function () {}
+	};
+}
+
 /**
  * Class for storing data
  * Will choose the 'best' storage method available. Can also specify a type of storage.
+ * IndexedDB storage ('indexeddb') is asynchronous, see {@link Store#readAsync} and {@link Store#writeAsync}.
+ * Use {@link Store#update} when other tabs may be writing to the same store.
  *
  * @class  Store
  * @param {string} name - The name of the store
@@ -10,12 +267,6 @@ import utils from '../utils';
  */
 const Store = function (name, config) {
 
-	/**
-	 * Internal Storage key prefix.
-	 */
-	const keyPrefix = 'o-tracking';
-
-
 	if (utils.isUndefined(name)) {
 		const undefinedName = new Error('You must specify a name for the store.');
 		utils.broadcast('oErrors', 'log', {
@@ -43,29 +294,11 @@ const Store = function (name, config) {
 	 * @type {Object}
 	 */
 	this.storage = (function (config, window) {
-		const test_key = keyPrefix + '_InternalTest';
-
-		// If cookie has been manually specified, don't bother with local storage.
-		if (config.storage !== 'cookie') {
+		// IndexedDB has to be asked for, otherwise fall back to the synchronous methods.
+		if (config.storage === 'indexeddb') {
 			try {
-				if (window.localStorage) {
-					window.localStorage.setItem(test_key, 'TEST');
-
-					if (window.localStorage.getItem(test_key) === 'TEST') {
-						window.localStorage.removeItem(test_key);
-						return {
-							_type: 'localStorage',
-							load: function (name) {
-								return window.localStorage.getItem(name);
-							},
-							save: function (name, value) {
-								return window.localStorage.setItem(name, value);
-							},
-							remove: function (name) {
-								return window.localStorage.removeItem(name);
-							}
-						};
-					}
+				if (window.indexedDB) {
+					return indexedDBStorage(window.indexedDB);
 				}
 			} catch (error) {
 				utils.broadcast('oErrors', 'log', {
@@ -75,64 +308,44 @@ const Store = function (name, config) {
 			}
 		}
 
-		function cookieLoad(name) {
-			name = name + '=';
+		return synchronousStorage(config, window);
+	}(this.config, window));
 
-			const cookies = window.document.cookie.split(';');
-			let i;
-			let cookie;
+	/**
+	 * Is the storage method asynchronous?
+	 * @type {boolean}
+	 */
+	this.async = Boolean(this.storage.async);
 
-			for (i = 0; i < cookies.length; i = i + 1) {
-				cookie = cookies[i].replace(/^\s+|\s+$/g, '');
-				if (cookie.indexOf(name) === 0) {
-					return utils.decode(cookie.substring(name.length, cookie.length));
-				}
+	if (this.async) {
+		/**
+		 * Resolves once any previous store with the same name has been retrieved.
+		 * @type {Promise}
+		 */
+		this.loaded = this.storage.load(this.storageKey).then(loadStore => {
+			// Anything written in the meantime replaces it.
+			if (loadStore && !this.written) {
+				this.data = fromStored(loadStore);
 			}
+		}, error => {
+			utils.broadcast('oErrors', 'log', {
+				error: error && error.message,
+				info: { module: 'o-tracking' }
+			});
 
-			return null;
-		}
-
-		function cookieSave(name, value, expiry) {
-			let d;
-			let expires = '';
+			// IndexedDB can fail to open even where it exists, e.g. in private browsing, so use the synchronous methods instead.
+			this.storage = synchronousStorage(this.config, window);
+			this.async = false;
 
-			if (utils.is(expiry, 'number')) {
-				d = new Date();
-				d.setTime(d.getTime() + expiry);
-				expires = 'expires=' + d.toGMTString() + ';';
+			const loadStore = this.storage.load(this.storageKey);
+			if (loadStore && !this.written) {
+				this.data = parse(loadStore);
 			}
+			this.saved = loadStore;
+		});
 
-			const cookie = utils.encode(name) + '=' + utils.encode(value) + ';' + expires + 'path=/;' + (config.domain ? 'domain=.' + config.domain + ';' : '');
-			window.document.cookie = cookie;
-		}
-
-		function cookieRemove(name) {
-			cookieSave(name, '', -1);
-		}
-
-		cookieSave(test_key, 'TEST');
-
-		if (cookieLoad(test_key) === 'TEST') {
-			cookieRemove(test_key);
-
-			return {
-				_type: 'cookie',
-				load: cookieLoad,
-				save: cookieSave,
-				remove: cookieRemove
-			};
-		}
-
-		return {
-			_type: 'none',
-			// eslint-disable-next-line no-empty-function
-			load: function () {},
-			// eslint-disable-next-line no-empty-function
-			save: function () {},
-			// eslint-disable-next-line no-empty-function
-			remove: function () {}
-		};
-	}(this.config, window));
+		return this;
+	}
 
 	/**
 	 * Temporary var containing data from a previously saved store.
@@ -141,17 +354,15 @@ const Store = function (name, config) {
 	// Retrieve any previous store with the same name.
 	const loadStore = this.storage.load(this.storageKey);
 	if (loadStore) {
-		try {
-			this.data = JSON.parse(loadStore);
-		} catch (error) {
-			utils.broadcast('oErrors', 'log', {
-				error: error.message,
-				module: 'o-tracking'
-			});
-			this.data = loadStore;
-		}
+		this.data = parse(loadStore);
 	}
 
+	/**
+	 * The data as stored when this store last read or wrote it.
+	 * @type {String}
+	 */
+	this.saved = loadStore;
+
 	return this;
 };
 
@@ -173,8 +384,157 @@ Store.prototype.read = function () {
 Store.prototype.write = function (data) {
 	// Set this.data, in-case we're on a file:// domain and can't set cookies.
 	this.data = data;
+
+	if (!writable) {
+		return this;
+	}
+
+	if (this.async) {
+		this.writeAsync(data);
+		return this;
+	}
+
 	this.storage.save(this.storageKey, typeof this.data === 'string' ? this.data : JSON.stringify(this.data), this.config.expires);
 
+	// Read it back, as cookies can be too big to save.
+	this.saved = this.storage.load(this.storageKey);
+
+	return this;
+};
+
+/**
+ * Get the data once any previously stored data has been retrieved.
+ *
+ * @return {Promise} Resolves with the data from the store.
+ */
+Store.prototype.readAsync = function () {
+	if (!this.async) {
+		return Promise.resolve(this.data);
+	}
+
+	return this.loaded.then(() => this.data);
+};
+
+/**
+ * Write the supplied data to the store. For asynchronous storage, writes made
+ * in quick succession are saved together, and writes made before previously
+ * stored data has been retrieved are saved afterwards.
+ *
+ * @param {String} data - The data to write.
+ * @return {Promise} Resolves with the instance of the store once the data has been saved.
+ */
+Store.prototype.writeAsync = function (data) {
+	// Deleting is still allowed when nothing can be written.
+	if (!this.async || !writable && data !== null) {
+		return Promise.resolve(this.write(data));
+	}
+
+	this.data = data;
+	this.written = true;
+
+	if (!this.saving) {
+		this.saving = this.loaded.then(() => {
+			this.saving = null;
+
+			// IndexedDB may have failed to open, leaving the synchronous storage methods.
+			if (!this.async) {
+				return this.data === null ? this.destroy() : this.write(this.data);
+			}
+
+			if (this.data === null) {
+				return this.storage.remove(this.storageKey);
+			}
+
+			return this.storage.save(this.storageKey, toStorable(this.data));
+		}).then(() => this, error => {
+			utils.broadcast('oErrors', 'log', {
+				error: error && error.message,
+				info: { module: 'o-tracking' }
+			});
+			return this;
+		});
+	}
+
+	return this.saving;
+};
+
+/**
+ * Read the stored data afresh, as another tab may have changed it since this
+ * store was created.
+ *
+ * @param {Function} callback - Called with the stored data.
+ * @return {Store} - The instance of the store
+ */
+Store.prototype.load = function (callback) {
+	if (this.async) {
+		this.loaded.then(() => this.storage.load(this.storageKey)).then(loadStore => {
+			callback(loadStore ? fromStored(loadStore) : null);
+		}, error => {
+			utils.broadcast('oErrors', 'log', {
+				error: error && error.message,
+				info: { module: 'o-tracking' }
+			});
+		});
+		return this;
+	}
+
+	const loadStore = this.storage.load(this.storageKey);
+	callback(loadStore ? parse(loadStore) : null);
+	return this;
+};
+
+/**
+ * Write data based on the stored data, which another tab may have changed
+ * since this store was created. For asynchronous storage, nothing can write in
+ * between reading and writing.
+ *
+ * @param {Function} fn - Called with the stored data, returns the data to write.
+ * @param {Function} callback - Optional, called once the data has been written.
+ * @return {Store} - The instance of the store
+ */
+Store.prototype.update = function (fn, callback) {
+	// Nothing can be stored, so just update the data in memory.
+	if (!writable) {
+		this.data = fn(this.data);
+
+		if (callback) {
+			callback();
+		}
+		return this;
+	}
+
+	if (this.async) {
+		this.written = true;
+		this.loaded.then(() => {
+			// IndexedDB may have failed to open, leaving the synchronous storage methods.
+			if (!this.async) {
+				return this.update(fn);
+			}
+
+			return this.storage.update(this.storageKey, loadStore => {
+				this.data = fn(loadStore ? fromStored(loadStore) : null);
+				return toStorable(this.data);
+			});
+		}).then(() => {
+			if (callback) {
+				callback();
+			}
+		}, error => {
+			utils.broadcast('oErrors', 'log', {
+				error: error && error.message,
+				info: { module: 'o-tracking' }
+			});
+		});
+		return this;
+	}
+
+	// Nothing else has written since this store did, so there's no need to parse it again.
+	const loadStore = this.storage.load(this.storageKey);
+	this.write(fn(loadStore === this.saved ? this.data : loadStore ? parse(loadStore) : null));
+
+	if (callback) {
+		callback();
+	}
 	return this;
 };
 
@@ -184,9 +544,27 @@ Store.prototype.write = function (data) {
  */
 Store.prototype.destroy = function () {
 	this.data = null;
+
+	if (this.async) {
+		this.writeAsync(null);
+		return this;
+	}
+
 	this.storage.remove(this.storageKey);
+	this.saved = this.storage.load(this.storageKey);
 	return this;
 };
 
+/**
+ * Allow or stop stores writing to storage. Stores can still be destroyed, to
+ * clear what has already been stored.
+ *
+ * @param {boolean} value - Whether stores may write to storage.
+ * @return {undefined}
+ */
+Store.setWritable = function (value) {
+	writable = value;
+};
+
 export default Store;
 export { Store };
@@ -0,0 +1,91 @@
+/**
+ * Browsers refuse keepalive requests once the bodies of all of them which are
+ * still in flight add up to more than 64KB.
+ */
+const keepaliveLimit = 64000;
+
+/**
+ * The size in bytes of the bodies of the keepalive requests still in flight.
+ */
+let keepaliveInFlight = 0;
+
+/**
+ * Get the size of the data in bytes, as sent, rather than in characters.
+ *
+ * @param {string} data - The data.
+ * @return {number} Its size in bytes.
+ */
+function byteLength(data) {
+	return new window.Blob([data]).size;
+}
+
+function fetchTransport() {
+	let resolver;
+	let rejecter;
+	const p = new Promise((resolve, reject) => {
+		resolver = resolve;
+		rejecter = reject;
+	});
+	return {
+		name: 'fetch',
+		send: function (url, data) {
+			const size = byteLength(data);
+			// Requests which would take the total over the limit are sent without keepalive, so that they aren't refused.
+			const keepalive = keepaliveInFlight + size < keepaliveLimit;
+
+			if (keepalive) {
+				const settled = () => {
+					keepaliveInFlight = keepaliveInFlight - size;
+				};
+				keepaliveInFlight = keepaliveInFlight + size;
+				p.then(settled, settled);
+			}
+
+			window.fetch(url, {
+				method: 'POST',
+				body: data,
+				credentials: 'include',
+				keepalive: keepalive,
+				// A JSON content type would need a CORS preflight, which keepalive requests may not get to make as the page unloads.
+				headers: {
+					'Content-type': 'text/plain;charset=UTF-8'
+				}
+			}).then(response => {
+				if (response.ok) {
+					resolver(response.status);
+				} else {
+					const error = new Error('Incorrect response: ' + response.status);
+					error.status = response.status;
+					rejecter(error);
+				}
+			}, rejecter);
+		},
+		complete: function (callback) {
+			if (callback) {
+				p.then(status => callback(undefined, status), callback);
+			}
+		}
+	};
+}
+
+/**
+ * Only browsers which support keepalive can use fetch, so that requests made
+ * as the page unloads still get sent.
+ * @return {boolean} Can fetch be used?
+ */
+fetchTransport.isSupported = function () {
+	try {
+		return typeof window.fetch === 'function' && 'keepalive' in new window.Request('');
+	} catch (error) {
+		return false;
+	}
+};
+
+/**
+ * Keepalive requests carry on once the page has been unloaded.
+ * @type {boolean}
+ */
+fetchTransport.survivesUnload = true;
+
+export default fetchTransport;
+export { fetchTransport as fetch };
@@ -1,20 +1,109 @@
+import utils from '../../utils';
+import fetch from './fetch';
 import xhr from './xhr';
 import sendBeacon from './send-beacon';
 import image from './image';
 
+/**
+ * The transports which can be used to send requests, keyed by name.
+ * @type {Object}
+ */
+const registry = {
+	fetch,
+	xhr,
+	sendBeacon,
+	image
+};
+
+/**
+ * Add a transport, or replace an existing one.
+ *
+ * A transport factory returns an object with a `name`, a `send(url, data)`
+ * method and a `complete(callback)` method. The callback should be passed an
+ * error if the request failed. If the factory has an `isSupported` function,
+ * the transport will only be chosen when it returns true. Set `survivesUnload`
+ * on the factory if its requests keep going once the page has been unloaded,
+ * so that it can be used to send what is queued when the page is hidden.
+ *
+ * @param {string} name - The name to refer to the transport by, e.g. in `config.transports`.
+ * @param {Function} factory - Returns a new transport for each request.
+ * @return {undefined}
+ */
+function register(name, factory) {
+	if (!utils.is(name, 'string') || !utils.is(factory, 'function')) {
+		const invalidTransport = new Error('A transport must have a name and a factory function.');
+		utils.broadcast('oErrors', 'log', {
+			error: invalidTransport.message,
+			info: { module: 'o-tracking' }
+		});
+		throw invalidTransport;
+	}
+
+	registry[name] = factory;
+}
+
+/**
+ * Get a transport factory by name.
+ *
+ * @param {string} name - The name of the transport.
+ * @return {Function} The transport factory.
+ */
 function get(name) {
-	return this.mock || this[name];
+	return registry[name];
+}
+
+/**
+ * Choose the first registered and supported transport from a list of
+ * preferences. Falls back to the image transport, which works everywhere.
+ *
+ * @param {Array} preferences - Transport names, most preferred first.
+ * @return {string} The name of the chosen transport.
+ */
+function choose(preferences) {
+	for (let i = 0; i < preferences.length; i++) {
+		const factory = registry[preferences[i]];
+
+		if (!factory) {
+			utils.log('Unknown transport', preferences[i]);
+		} else if (!utils.is(factory.isSupported, 'function') || factory.isSupported()) {
+			return preferences[i];
+		}
+	}
+
+	return 'image';
+}
+
+/**
+ * Choose the first registered and supported transport from a list of
+ * preferences whose requests keep going once the page has been unloaded.
+ *
+ * @param {Array} preferences - Transport names, most preferred first.
+ * @return {string|undefined} The name of the chosen transport, or undefined if none of them survive unload.
+ */
+function chooseForUnload(preferences) {
+	const candidates = preferences.filter(name => registry[name] && registry[name].survivesUnload);
+	const name = choose(candidates);
+
+	return candidates.indexOf(name) > -1 ? name : undefined;
 }
 
 export default {
+	fetch,
 	xhr,
 	sendBeacon,
 	image,
-	get
+	register,
+	get,
+	choose,
+	chooseForUnload
 };
 export {
+	fetch,
 	xhr,
 	sendBeacon,
 	image,
-	get
+	register,
+	get,
+	choose,
+	chooseForUnload
 };
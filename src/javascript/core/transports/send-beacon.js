@@ -23,5 +23,18 @@ function sendBeacon() {
 	};
 }
 
+/**
+ * @return {boolean} Can sendBeacon be used?
+ */
+sendBeacon.isSupported = function () {
+	return Boolean(navigator.sendBeacon) && typeof Promise !== 'undefined';
+};
+
+/**
+ * Beacons are sent once the page has been unloaded.
+ * @type {boolean}
+ */
+sendBeacon.survivesUnload = true;
+
 export default sendBeacon;
 export { sendBeacon };
@@ -11,18 +11,30 @@ function xhr() {
 		},
 		complete: function (callback) {
 			xhr.onerror = function () {
-				callback(this);
+				const error = new Error('Network error');
+				error.status = xhr.status;
+				callback(error);
 			};
 			xhr.onload = function () {
 				if (xhr.status >= 200 && xhr.status < 300) {
 					callback();
 				} else {
-					callback('Incorrect response: ' + xhr.status);
+					const error = new Error('Incorrect response: ' + xhr.status);
+					error.status = xhr.status;
+					callback(error);
 				}
 			};
 		}
 	};
 }
 
+/**
+ * Only browsers which can send cookies cross-origin with xhr can use it.
+ * @return {boolean} Can xhr be used?
+ */
+xhr.isSupported = function () {
+	return Boolean(window.XMLHttpRequest) && 'withCredentials' in new window.XMLHttpRequest();
+};
+
 export default xhr;
 export { xhr };
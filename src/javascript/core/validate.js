@@ -0,0 +1,267 @@
+import settings from './settings';
+import utils from '../utils';
+import { ValidationError } from './errors';
+
+/**
+ * The most violations listed in `system.validation_errors`.
+ */
+const limit = 10;
+
+/**
+ * Flags in comment events are booleans, or 1 and 0.
+ */
+const flag = { type: ['boolean', 'number'], enum: [true, false, 1, 0] };
+
+/**
+ * The details of the comment acted on, which most comment events have.
+ */
+const commentDetails = {
+	comment_ID: { type: ['string', 'number'] },
+	thread_ID: { type: ['string', 'number'] },
+	is_reply: flag,
+	commentor_name: { type: 'string' },
+	character_count: { type: 'number', minimum: 0 },
+	comment_depth: { type: 'number', minimum: 0 },
+	thread_depth: { type: 'number', minimum: 0 }
+};
+
+/**
+ * Build the schema for a comment event, documented in docs/event-parameters/Comment Events.
+ * Every property of its context is required.
+ *
+ * @param {Object} context - The schemas for the properties of the event's context.
+ * @return {Object} The schema.
+ */
+function comment(context) {
+	return {
+		type: 'object',
+		required: ['context'],
+		properties: {
+			context: {
+				type: 'object',
+				required: Object.keys(context),
+				properties: context
+			}
+		}
+	};
+}
+
+/**
+ * Schemas for the events documented in docs/event-parameters, by `category:action`.
+ * Keys which are only filled in when the event is sent, like `system.source`, aren't checked.
+ */
+const schemas = {
+	'page:view': {
+		type: 'object',
+		required: ['context'],
+		properties: {
+			context: {
+				type: 'object',
+				required: ['product', 'url', 'content'],
+				properties: {
+					product: { type: 'string' },
+					url: { type: 'string' },
+					referrer: { type: 'string' },
+					content: {
+						type: 'object',
+						required: ['asset_type'],
+						properties: {
+							asset_type: { type: 'string' }
+						}
+					}
+				}
+			}
+		}
+	},
+	'text:copy': {
+		type: 'object',
+		required: ['context'],
+		properties: {
+			context: {
+				type: 'object',
+				required: ['product', 'characters'],
+				properties: {
+					product: { type: 'string' },
+					characters: { type: 'number', minimum: 0 },
+					words: { type: 'number', minimum: 0 }
+				}
+			}
+		}
+	},
+	'comment:post': comment(Object.assign({
+		action_type: { type: 'string', enum: ['reply', 'new post'] },
+		is_success: flag,
+		is_followed: flag
+	}, commentDetails)),
+	'comment:delete': comment(Object.assign({ action_type: { enum: ['delete'] } }, commentDetails)),
+	'comment:ban': comment(Object.assign({ action_type: { enum: ['ban'] } }, commentDetails)),
+	'comment:bozo': comment(Object.assign({ action_type: { enum: ['bozo'] } }, commentDetails)),
+	'comment:feature': comment(Object.assign({ action_type: { enum: ['feature'] } }, commentDetails)),
+	'comment:recommend': comment(Object.assign({ action_type: { enum: ['recommend'] } }, commentDetails)),
+	'comment:unrecommend': comment(Object.assign({ action_type: { enum: ['unrecommend'] } }, commentDetails)),
+	'comment:share': comment(Object.assign({ action_type: { type: 'string' } }, commentDetails)),
+	'comment:report_start': comment(Object.assign({
+		action_type: { enum: ['open overlay'] },
+		is_success: flag
+	}, commentDetails)),
+	'comment:report_submission': comment(Object.assign({
+		action_type: { type: 'string' },
+		is_success: flag
+	}, commentDetails)),
+	'comment:follow': comment({ action_type: { enum: ['follow'] } }),
+	'comment:unfollow': comment({ action_type: { enum: ['unfollow'] } }),
+	'comment:settings': comment({ action_type: { type: 'string' } }),
+	'comment:show': comment({ action_type: { type: 'string' } }),
+	'comment:sort': comment({ action_type: { type: 'string' } })
+};
+
+/**
+ * Is the value of a JSON Schema type?
+ *
+ * @param {*} value - The value.
+ * @param {String} type - 'string', 'number', 'integer', 'boolean', 'object', 'array' or 'null'.
+ * @return {boolean} Whether it is.
+ */
+function isType(value, type) {
+	switch (type) {
+		case 'integer':
+			return utils.is(value, 'number') && Math.floor(value) === value;
+		case 'array':
+			return Array.isArray(value);
+		case 'object':
+			return Boolean(value) && utils.is(value, 'object') && !Array.isArray(value);
+		case 'null':
+			return value === null;
+		default:
+			return utils.is(value, type);
+	}
+}
+
+/**
+ * Check a value against a schema, collecting any violations.
+ *
+ * @param {*} value - The value.
+ * @param {Object} schema - The JSON-Schema-style definition. Supports `type`, `enum`, `pattern`,
+ * `minLength`, `maxLength`, `minimum`, `maximum`, `items`, `required`, `properties` and `additionalProperties: false`.
+ * @param {String} path - Where the value is in the request, e.g. 'context.url'.
+ * @param {Array} errors - The violations found so far.
+ * @return {Array} The violations.
+ */
+function check(value, schema, path, errors) {
+	const name = path || 'the event';
+	const types = [].concat(schema.type || []);
+
+	if (types.length && !types.some(type => isType(value, type))) {
+		errors.push(`${name} should be ${types.join(' or ')}`);
+		return errors;
+	}
+
+	if (schema.enum && schema.enum.indexOf(value) === -1) {
+		errors.push(`${name} should be one of ${schema.enum.join(', ')}`);
+	}
+
+	if (utils.is(value, 'string')) {
+		if (value.length < (schema.minLength || 0) || value.length > (isFinite(schema.maxLength) ? schema.maxLength : Infinity)) {
+			errors.push(`${name} has the wrong length`);
+		}
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			errors.push(`${name} should match ${schema.pattern}`);
+		}
+	}
+
+	if (utils.is(value, 'number') && (value < schema.minimum || value > schema.maximum)) {
+		errors.push(`${name} is out of range`);
+	}
+
+	if (Array.isArray(value) && schema.items) {
+		value.forEach((item, index) => check(item, schema.items, `${name}[${index}]`, errors));
+	}
+
+	if (isType(value, 'object')) {
+		const properties = schema.properties || {};
+		const key = property => path ? `${path}.${property}` : property;
+
+		(schema.required || []).forEach(property => {
+			if (value[property] === undefined || value[property] === null) {
+				errors.push(`${key(property)} is required`);
+			}
+		});
+
+		Object.keys(value).forEach(property => {
+			if (properties[property]) {
+				if (value[property] !== undefined && value[property] !== null) {
+					check(value[property], properties[property], key(property), errors);
+				}
+			} else if (schema.additionalProperties === false) {
+				errors.push(`${key(property)} is not allowed`);
+			}
+		});
+	}
+
+	return errors;
+}
+
+/**
+ * Get the validation configuration. The built-in schemas are only used if `builtIn` is set, as plain
+ * page views and copy events don't have everything they require. A configured schema replaces the
+ * built-in one for the same event.
+ *
+ * @return {Object|undefined} The schemas and whether to be strict, or undefined if validation is turned off.
+ */
+function getConfig() {
+	const config = settings.get('config') && settings.get('config').validation;
+
+	if (config === false) {
+		return;
+	}
+
+	return {
+		schemas: Object.assign({}, config && config.builtIn ? schemas : {}, config && config.schemas),
+		strict: Boolean(config && config.strict)
+	};
+}
+
+/**
+ * Validate a request against the schema for its `category:action`, if there is one.
+ * Violations are summarised in the request's `system.validation_errors`, and in
+ * developer mode they are logged too, or thrown if validation is strict.
+ *
+ * @param {Object} request - The request.
+ * @throws {ValidationError} In strict developer mode, if the request is invalid.
+ * @return {Array} The violations.
+ */
+function validate(request) {
+	const config = getConfig();
+	const schema = config && config.schemas[`${request.category}:${request.action}`];
+
+	if (!schema) {
+		return [];
+	}
+
+	// Only check what will be sent.
+	const event = Object.assign({}, request);
+	delete event.callback;
+	delete event.async;
+
+	const errors = check(event, schema, '', []);
+
+	if (!errors.length) {
+		return errors;
+	}
+
+	request.system = request.system || {};
+	request.system.validation_errors = errors.slice(0, limit);
+
+	if (settings.get('developer')) {
+		utils.log(`Invalid ${request.category}:${request.action} event`, errors);
+
+		if (config.strict) {
+			throw new ValidationError(`Invalid ${request.category}:${request.action} event: ${errors.join(', ')}`);
+		}
+	}
+
+	return errors;
+}
+
+export default validate;
+export { validate, schemas };
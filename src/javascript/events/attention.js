@@ -0,0 +1,164 @@
+import Core from '../core';
+import utils from '../utils';
+
+/**
+ * Input which shows the visitor is still engaged with the page.
+ */
+const inputEvents = ['scroll', 'mousemove', 'mousedown', 'keydown', 'touchstart'];
+
+let options;
+let rootID;
+let total;
+let reported;
+let activeSince = null;
+let idleTimer;
+let heartbeatTimer;
+let listening = false;
+
+/**
+ * How long the visitor has been engaged with the current page view.
+ *
+ * @return {number} The active time in milliseconds.
+ */
+function activeTime() {
+	return total + (activeSince === null ? 0 : utils.now() - activeSince);
+}
+
+/**
+ * Stop counting active time, e.g. when the visitor is idle or the page is hidden.
+ *
+ * @return {undefined}
+ */
+function stop() {
+	clearTimeout(idleTimer);
+
+	if (activeSince !== null) {
+		total += utils.now() - activeSince;
+		activeSince = null;
+	}
+}
+
+/**
+ * The visitor has done something, so count active time until they've been idle for a while.
+ *
+ * @return {undefined}
+ */
+function onInput() {
+	if (document.visibilityState === 'hidden') {
+		return;
+	}
+
+	if (activeSince === null) {
+		activeSince = utils.now();
+	}
+
+	clearTimeout(idleTimer);
+	idleTimer = setTimeout(stop, options.idle);
+}
+
+/**
+ * Track the active time for the current page view, if it has gone up since it was last tracked.
+ *
+ * @param {String} action - 'heartbeat' while the page is open, or 'attention' for the total when it is hidden.
+ * @return {undefined}
+ */
+function report(action) {
+	const seconds = Math.round(activeTime() / 1000);
+
+	if (seconds <= reported) {
+		return;
+	}
+	reported = seconds;
+
+	Core.track({
+		category: options.category,
+		action: action,
+		context: {
+			// The page view this time was spent on, even if a new one has started since.
+			root_id: rootID,
+			active_seconds: seconds
+		}
+	});
+}
+
+/**
+ * Start measuring a new page view.
+ *
+ * @return {undefined}
+ */
+function reset() {
+	stop();
+	rootID = Core.getRootID();
+	total = 0;
+	reported = 0;
+	onInput();
+}
+
+/**
+ * A new page view has been tracked, e.g. in a single page app, so send the
+ * total for the previous one and start again.
+ *
+ * @return {undefined}
+ */
+function onPage() {
+	if (rootID !== Core.getRootID()) {
+		stop();
+		report('attention');
+		reset();
+	}
+}
+
+/**
+ * The page has been hidden, so send the total so far. It goes up if the visitor comes back.
+ *
+ * @return {undefined}
+ */
+function onHide() {
+	stop();
+	report('attention');
+}
+
+/**
+ * Track how long visitors actively engage with each page view. Time only counts
+ * while the page is visible and focused, and until the visitor has been idle
+ * for a while. Heartbeats are sent while the page is open, and the total is sent
+ * when the page is hidden.
+ *
+ * @alias attention#init
+ * @param {Object} opts - Optional, to set a custom category[String], how long until the visitor is idle[Number]
+ * and how often to send heartbeats[Number], in milliseconds.
+ * @return {undefined}
+ */
+function init(opts = {}) {
+	options = {
+		category: opts.category || 'page',
+		idle: opts.idle || 15 * 1000,
+		heartbeat: opts.heartbeat || 30 * 1000
+	};
+
+	clearInterval(heartbeatTimer);
+	heartbeatTimer = setInterval(() => report('heartbeat'), options.heartbeat);
+
+	if (!listening) {
+		listening = true;
+
+		inputEvents.forEach(type => utils.addEvent(window, type, onInput, { passive: true }));
+		utils.addEvent(window, 'focus', onInput);
+		utils.addEvent(window, 'blur', stop);
+		utils.addEvent(window, 'pagehide', onHide);
+		utils.addEvent(document, 'visibilitychange', () => {
+			if (document.visibilityState === 'hidden') {
+				onHide();
+			} else {
+				onInput();
+			}
+		});
+
+		utils.onPage(onPage);
+	}
+
+	reset();
+}
+
+export default { init };
+export { init };
@@ -3,9 +3,17 @@ import Queue from '../core/queue';
 import Core from '../core';
 import utils from '../utils';
 import settings from '../core/settings';
+import send from '../core/send';
 import getTrace from '../../libs/get-trace';
 
 let internalQueue;
+let analyser;
+let analyserDelegate;
+let recentClicks = [];
+let rageReported = false;
+let deadCandidates = [];
+let observers = [];
+let listening = false;
 
 const eventPropertiesToCollect = [
 	"ctrlKey",
@@ -14,15 +22,96 @@ const eventPropertiesToCollect = [
 	"metaKey",
 ];
 
+// `String.prototype.endsWith` isn't in old browsers.
+const endsWith = (string, suffix) => string.slice(-suffix.length) === suffix;
+
+// Is the link to a web page or file, rather than e.g. an email address?
+const isWeb = link => link.protocol === 'http:' || link.protocol === 'https:';
+
+// Get the file extension of the link's path, if it has one.
+const getExtension = link => {
+	const match = link.pathname.match(/\.([a-z0-9]+)$/i);
+	return match ? match[1].toLowerCase() : undefined;
+};
+
+// Does the link go to somewhere on this page?
+const isSamePage = link => {
+	const location = window.document.location;
+	// Old IE leaves the leading slash off anchors' pathnames.
+	const pathname = link.pathname.charAt(0) === '/' ? link.pathname : '/' + link.pathname;
+
+	return link.hostname === location.hostname && pathname === location.pathname && link.search === location.search;
+};
+
+/**
+ * The attributes which change what's shown, e.g. to open a menu. Changes to others, such as data attributes set by
+ * scripts for their own use, don't mean a click did something.
+ */
+const visibleAttributes = ['class', 'style', 'hidden', 'open', 'disabled', 'checked', 'src', 'aria-expanded', 'aria-hidden', 'aria-pressed', 'aria-selected', 'aria-checked'];
+
+/**
+ * The file extensions of links which are downloads, unless `config.links.downloads` is set.
+ */
+const defaultDownloads = ['pdf', 'zip', 'csv', 'txt', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'epub', 'mp3', 'mp4'];
+
+/**
+ * The types of link, in the order they are checked. The first one whose test passes is the link's type,
+ * and whether clicks on it are queued and sent on the next page load, or sent straight away.
+ * Only links to this host are queued, as other hosts can't read this page's queue.
+ */
+const linkTypes = [
+	{ type: 'mailto', queue: false, test: link => link.protocol === 'mailto:' },
+	{ type: 'tel', queue: false, test: link => link.protocol === 'tel:' },
+	{ type: 'download', queue: false, test: (link, element, config) => isWeb(link) && (element.hasAttribute('download') || config.downloads.indexOf(getExtension(link)) > -1) },
+	{ type: 'anchor', queue: false, test: link => isWeb(link) && Boolean(link.hash) && isSamePage(link) },
+	{ type: 'internal', queue: true, test: link => isWeb(link) && link.hostname === window.document.location.hostname },
+	{ type: 'subdomain', queue: false, test: (link, element, config) => isWeb(link) && (link.hostname === config.site || endsWith(link.hostname, '.' + config.site)) },
+	{ type: 'outbound', queue: false, test: link => isWeb(link) }
+];
+
+/**
+ * Get the configuration for classifying links, merged with the defaults.
+ *
+ * @return {Object} The `site` that subdomains belong to, and the file extensions of `downloads`.
+ */
+const getLinksConfig = () => {
+	const config = settings.get('config') && settings.get('config').links || {};
+
+	return {
+		// The registrable domain can't be known without the public suffix list, e.g. for `ft.co.uk`, so default to the hostname.
+		site: config.site || window.document.location.hostname,
+		downloads: (config.downloads || defaultDownloads).map(extension => String(extension).toLowerCase())
+	};
+};
+
+/**
+ * Work out what type of link an element is from its URL.
+ *
+ * @param {HTMLElement} element - The clicked element.
+ * @return {Object|undefined} The link type's rule, or undefined if the element isn't a link.
+ */
+const getLinkType = element => {
+	const href = element.getAttribute && element.getAttribute('href');
+
+	if (!href) {
+		return;
+	}
+
+	// Let the browser parse the URL, resolving it against the page's.
+	const link = document.createElement('a');
+	link.href = href;
+
+	const config = getLinksConfig();
+	return linkTypes.filter(rule => rule.test(link, element, config))[0];
+};
+
 // Trigger the event tracking
-const track = eventData => {
+const track = (eventData, linkType) => {
 	const firstDomPathToken = eventData.context.domPathTokens[0];
-	const href = firstDomPathToken.href || null;
 	const oTrackingSkipQueueAttr = firstDomPathToken['data-o-tracking-skip-queue'];
 	const skipQueue = oTrackingSkipQueueAttr && oTrackingSkipQueueAttr.toLowerCase() === 'true' || false;
-	const isInternal = href && href.indexOf(window.document.location.hostname) > -1;
 
-	if (isInternal && !skipQueue) {
+	if (linkType && linkType.queue && !skipQueue) {
 		eventData.context.source_id = Core.getRootID();
 
 		// Queue the event and send it on the next page load
@@ -51,14 +140,25 @@ const getEventProperties = event => {
 	return eventProperties;
 };
 
+// Add the clicked element's DOM path and the page's URL to the context, and get its custom context.
+const addElementContext = (clickElement, context) => {
+	const { trace, customContext} = getTrace(clickElement);
+	context.domPathTokens = trace;
+	context.url = window.document.location.href || null;
+	return customContext;
+};
+
 // Controller for handling click events
 const handleClickEvent = eventData => (clickEvent, clickElement) => {
 	//we don't want to track clicks to anonymous services like securedrop
 	if (clickElement.getAttribute("data-o-tracking-do-not-track") === "true") {return;}
 	const context = getEventProperties(clickEvent);
-	const { trace, customContext} = getTrace(clickElement);
-	context.domPathTokens = trace;
-	context.url = window.document.location.href || null;
+	const customContext = addElementContext(clickElement, context);
+
+	const linkType = getLinkType(clickElement);
+	if (linkType) {
+		context.link_type = linkType.type;
+	}
 
 	utils.assignIfUndefined(customContext, context);
 
@@ -66,7 +166,158 @@ const handleClickEvent = eventData => (clickEvent, clickElement) => {
 
 	// Merge the event data into the "parent" config data
 	const config = utils.merge(settings.get('config'), eventData);
-	track(config);
+	track(config, linkType);
+};
+
+// Send a rage or dead click event for the clicked element.
+const trackFrustration = (action, clickElement, context) => {
+	const customContext = addElementContext(clickElement, context);
+	utils.assignIfUndefined(customContext, context);
+
+	Core.track({
+		category: analyser.category,
+		action: action,
+		context: context
+	});
+};
+
+// Track the visitor clicking repeatedly in the same place, once for each burst of clicks.
+const checkRageClick = (clickEvent, clickElement) => {
+	const click = { x: clickEvent.clientX || 0, y: clickEvent.clientY || 0, time: new Date().getTime() };
+
+	recentClicks = recentClicks.filter(previous => {
+		const distance = Math.sqrt(Math.pow(previous.x - click.x, 2) + Math.pow(previous.y - click.y, 2));
+		return click.time - previous.time <= analyser.rage.interval && distance <= analyser.rage.radius;
+	});
+
+	if (!recentClicks.length) {
+		rageReported = false;
+	}
+	recentClicks.push(click);
+
+	if (recentClicks.length >= analyser.rage.clicks && !rageReported) {
+		rageReported = true;
+		trackFrustration('rage', clickElement, { clicks: recentClicks.length });
+	}
+};
+
+// Stop waiting to see whether clicks were dead, e.g. because something happened.
+const clearDeadClicks = candidates => {
+	candidates.forEach(candidate => clearTimeout(candidate.timer));
+	deadCandidates = deadCandidates.filter(candidate => candidates.indexOf(candidate) === -1);
+
+	if (!deadCandidates.length) {
+		observers.forEach(observer => observer.disconnect());
+		observers = [];
+	}
+};
+
+// Watch for the DOM changing and for network requests which finish, except o-tracking's own, while waiting for clicks to do something.
+const observeActivity = () => {
+	if (observers.length) {
+		return;
+	}
+
+	if (window.MutationObserver) {
+		const observer = new window.MutationObserver(() => clearDeadClicks(deadCandidates));
+		observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: visibleAttributes });
+		observers.push(observer);
+	}
+
+	if (window.PerformanceObserver) {
+		try {
+			const observer = new window.PerformanceObserver(list => {
+				const domain = send.getDomain();
+
+				list.getEntries()
+					.filter(entry => !domain || entry.name.indexOf(domain) !== 0)
+					.forEach(entry => clearDeadClicks(deadCandidates.filter(candidate => candidate.start <= entry.startTime)));
+			});
+			observer.observe({ type: 'resource' });
+			observers.push(observer);
+		} catch (error) {
+			// This browser can't observe resources.
+		}
+	}
+};
+
+// Could clicking the element have done nothing on purpose, e.g. because it is a field or opens another app or window?
+const canBeDead = (clickElement, linkType) => {
+	const target = clickElement.getAttribute('target');
+
+	if (/^(SELECT|TEXTAREA|LABEL|OPTION)$/.test(clickElement.nodeName) || clickElement.isContentEditable) {
+		return false;
+	}
+	if (clickElement.nodeName === 'INPUT' && !/^(button|submit|reset|image)$/.test(clickElement.type)) {
+		return false;
+	}
+	if (linkType && ['mailto', 'tel', 'download'].indexOf(linkType.type) > -1) {
+		return false;
+	}
+	return !target || target === '_self';
+};
+
+// Does the click load another page, e.g. because it is on a link to one or a form's submit button?
+// `pagehide` only fires once the next page responds, which can take longer than the wait.
+const isNavigation = (clickEvent, clickElement, linkType) => {
+	if (clickEvent.defaultPrevented) {
+		return false;
+	}
+	if (linkType) {
+		return ['internal', 'subdomain', 'outbound'].indexOf(linkType.type) > -1;
+	}
+	return Boolean(clickElement.form) && /^(submit|image)$/.test(clickElement.type);
+};
+
+// Track the click if it doesn't lead to navigation, a DOM change or a network request within the wait.
+const checkDeadClick = (clickEvent, clickElement, linkType) => {
+	if (!canBeDead(clickElement, linkType)) {
+		return;
+	}
+
+	const candidate = {
+		start: window.performance && window.performance.now ? window.performance.now() : 0,
+		timer: setTimeout(() => {
+			clearDeadClicks([candidate]);
+			// The click is analysed before anything else handles it, so only check whether it was cancelled now.
+			if (!isNavigation(clickEvent, clickElement, linkType)) {
+				trackFrustration('dead', clickElement, { wait: analyser.dead.wait });
+			}
+		}, analyser.dead.wait)
+	};
+
+	deadCandidates.push(candidate);
+	observeActivity();
+};
+
+// Controller for analysing clicks for frustration
+const handleAnalysedClick = (clickEvent, clickElement) => {
+	if (clickElement.getAttribute("data-o-tracking-do-not-track") === "true") {return;}
+
+	if (analyser.rage) {
+		checkRageClick(clickEvent, clickElement);
+	}
+	if (analyser.dead) {
+		checkDeadClick(clickEvent, clickElement, getLinkType(clickElement));
+	}
+};
+
+// Get the options for analysing clicks, merged with the defaults.
+const getAnalyserOptions = opts => {
+	const rage = opts.rage === true ? {} : opts.rage;
+	const dead = opts.dead === true ? {} : opts.dead;
+
+	return {
+		category: opts.category || 'click',
+		rage: rage && {
+			clicks: rage.clicks || 3,
+			radius: rage.radius || 30,
+			interval: rage.interval || 1000
+		},
+		dead: dead && {
+			wait: dead.wait || 1000
+		}
+	};
 };
 
 /**
@@ -90,9 +341,12 @@ const runQueue = _ => {
  * @alias click#init
  * @param {String} category - The event category for clicks.
  * @param {String} elementsToTrack - A query selector string to select elements to track links on {@link https://github.com/ftlabs/ftdomdelegate#selector-string}.
+ * @param {Object} analyse - Optional, to track frustrated clicks on the same elements: rage[Boolean|Object] clicks, with the
+ * number of `clicks` within a `radius` in pixels and an `interval` in milliseconds, and dead[Boolean|Object] clicks, which
+ * do nothing within a `wait` in milliseconds. Set a custom category[String] for them, which defaults to 'click'.
  * @return {undefined}
  */
-const init = (category, elementsToTrack) => {
+const init = (category, elementsToTrack, analyse) => {
 	elementsToTrack = elementsToTrack || 'a, button, input, [role="button"]'; // See https://github.com/ftlabs/ftdomdelegate#selector-string
 
 	// Note: `context` is the term o-tracking uses for the data that is sent to spoor
@@ -105,6 +359,25 @@ const init = (category, elementsToTrack) => {
 	const delegate = new Delegate(document.body);
 	delegate.on('click', elementsToTrack, handleClickEvent(eventData), true);
 
+	if (analyse) {
+		analyser = getAnalyserOptions(analyse);
+
+		// Only analyse each click once, however many times this is initialised.
+		if (analyserDelegate) {
+			analyserDelegate.destroy();
+		}
+		analyserDelegate = new Delegate(document.body);
+		analyserDelegate.on('click', elementsToTrack, handleAnalysedClick, true);
+
+		if (!listening) {
+			listening = true;
+
+			// Navigating means the clicks did something.
+			['pagehide', 'hashchange', 'popstate'].forEach(type => utils.addEvent(window, type, () => clearDeadClicks(deadCandidates)));
+			utils.onPage(() => clearDeadClicks(deadCandidates));
+		}
+	}
+
 	// Track any queued events
 	internalQueue = new Queue('clicks');
 	runQueue();
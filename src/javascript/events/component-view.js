@@ -9,6 +9,18 @@ const TRACKING_ATTRIBUTES = [
 	'component',
 ];
 
+/**
+ * The trackers started by init, which are all stopped by destroy.
+ */
+const trackers = [];
+
+/**
+ * The elements whose views have been tracked, and which aren't tracked again, e.g. if they're moved.
+ */
+const viewed = new WeakSet();
+
+let listening = false;
+
 const decorateEventData = (eventData, viewedEl, opts) => {
 
 	const { trace, customContext } = getTrace(viewedEl);
@@ -38,11 +50,310 @@ const decorateEventData = (eventData, viewedEl, opts) => {
 	eventData.context = context;
 };
 
+/**
+ * The visible ratios the observers report at, as well as each element's own
+ * threshold, so that the highest ratio an element reaches is measured.
+ */
+const RATIO_STEPS = [0, 0.25, 0.5, 0.75, 1];
+
+/**
+ * Find the elements to track in a node which has been added to or removed from the page.
+ *
+ * @param {Node} node - The node, which may be the element itself or contain it.
+ * @param {String} selector - The selector for elements to track.
+ * @return {Array} The elements.
+ */
+const findElements = (node, selector) => {
+	if (node.nodeType !== 1) {
+		return [];
+	}
+
+	const elements = [...node.querySelectorAll(selector)];
+
+	return utils.matches(node, selector) ? [node].concat(elements) : elements;
+};
+
+/**
+ * A root margin as `IntersectionObserver` accepts it: one to four lengths in pixels or percentages.
+ */
+const ROOT_MARGIN = /^(-?(\d+\.?\d*|\.\d+)(px|%)\s*){1,4}$/;
+
+/**
+ * Report an element's data attribute which can't be used, and which is replaced with the option passed to init.
+ *
+ * @param {String} name - The name of the attribute.
+ * @param {String} value - Its value.
+ * @return {undefined}
+ */
+const reportInvalid = (name, value) => {
+	utils.broadcast('oErrors', 'log', {
+		error: `Invalid data-o-tracking-view-${name} "${value}", using the default instead`,
+		info: { module: 'o-tracking' }
+	});
+};
+
+/**
+ * Get a number from an element's data attribute, kept within the range `IntersectionObserver` and timers accept.
+ *
+ * @param {String} name - The name of the attribute.
+ * @param {String|null} value - Its value, or null if it isn't set.
+ * @param {number} fallback - The option passed to init, used if the attribute isn't set or isn't a number.
+ * @param {number} min - The lowest the number can be.
+ * @param {number} max - The highest the number can be.
+ * @return {number} The number.
+ */
+const getNumber = (name, value, fallback, min, max) => {
+	if (value === null) {
+		return fallback;
+	}
+
+	const number = Number(value);
+
+	if (value.trim() === '' || !isFinite(number)) {
+		reportInvalid(name, value);
+		return fallback;
+	}
+
+	if (number < min || number > max) {
+		reportInvalid(name, value);
+	}
+
+	return Math.min(Math.max(number, min), max);
+};
+
+/**
+ * Get the options for an element, from its data attributes or else the ones passed to init.
+ * Attributes which can't be used are reported, and replaced with the options passed to init.
+ *
+ * @param {HTMLElement} el - The element to track.
+ * @param {Object} opts - The options passed to init.
+ * @return {Object} The element's threshold[Number], dwell[Number], rootMargin[String] and repeat[Boolean].
+ */
+const getElementOptions = (el, opts) => {
+	const rootMargin = el.getAttribute('data-o-tracking-view-root-margin');
+	const repeat = el.getAttribute('data-o-tracking-view-repeat');
+	const validRootMargin = rootMargin !== null && ROOT_MARGIN.test(rootMargin.trim());
+
+	if (rootMargin !== null && !validRootMargin) {
+		reportInvalid('root-margin', rootMargin);
+	}
+
+	return {
+		threshold: getNumber('threshold', el.getAttribute('data-o-tracking-view-threshold'), opts.threshold, 0, 1),
+		dwell: getNumber('dwell', el.getAttribute('data-o-tracking-view-dwell'), opts.dwell, 0, Infinity),
+		rootMargin: validRootMargin ? rootMargin.trim() : opts.rootMargin,
+		repeat: repeat !== null ? repeat !== 'false' : opts.repeat
+	};
+};
+
+/**
+ * How much of the element is in view. Browsers which don't report the ratio count
+ * an intersecting element as fully in view.
+ *
+ * @param {IntersectionObserverEntry} change - The change in the element's visibility.
+ * @return {number} The ratio, from 0 to 1.
+ */
+const getRatio = change => {
+	if (utils.is(change.intersectionRatio, 'number')) {
+		return change.intersectionRatio;
+	}
+
+	return change.isIntersecting ? 1 : 0;
+};
+
+/**
+ * Create a tracker which sends view events for the elements it observes.
+ *
+ * @param {Object} opts - The options passed to init.
+ * @return {Object} The tracker, to observe[Function] and unobserve[Function] elements, watch[Function] for
+ * elements being added to or removed from the page, hide[Function] and show[Function] them with the page,
+ * and disconnect[Function] it all.
+ */
+const createTracker = (opts) => {
+	const defaults = {
+		threshold: utils.is(opts.threshold, 'number') ? opts.threshold : 1,
+		dwell: opts.dwell || 0,
+		rootMargin: opts.rootMargin || '0px',
+		repeat: Boolean(opts.repeat)
+	};
+	const observers = {};
+	const states = new Map();
+	let mutationObserver;
+
+	const view = (el, visibleTime, maxRatio) => {
+		const state = states.get(el);
+		const eventData = {
+			action: opts.action || 'view',
+			category: opts.category || 'component'
+		};
+
+		decorateEventData(eventData, el, opts);
+		eventData.context.visible_time = visibleTime;
+		eventData.context.max_ratio = Math.round(maxRatio * 100) / 100;
+
+		Core.track(eventData);
+
+		if (!state.options.repeat) {
+			viewed.add(el);
+			unobserve(el);
+		}
+	};
+
+	// Start measuring how long the element is in view for, unless the page is hidden.
+	const start = (state) => {
+		if (state.visibleSince === null && document.visibilityState !== 'hidden') {
+			state.visibleSince = utils.now();
+			state.maxRatio = state.ratio;
+		}
+	};
+
+	// Stop measuring, and track the view if the element was in view for long enough.
+	const end = (el) => {
+		const state = states.get(el);
+
+		if (!state || state.visibleSince === null) {
+			return;
+		}
+
+		const visibleTime = utils.now() - state.visibleSince;
+
+		state.visibleSince = null;
+
+		// It has to be in view continuously for the dwell time, otherwise it was only a glance.
+		if (visibleTime >= state.options.dwell) {
+			view(el, visibleTime, state.maxRatio);
+		}
+	};
+
+	const unobserve = (el) => {
+		const state = states.get(el);
+
+		if (!state) {
+			return;
+		}
+
+		// An element which is removed from the page while it is in view has left view.
+		end(el);
+
+		// Tracking the view stops observing it, if it isn't repeated.
+		if (states.has(el)) {
+			state.observer.unobserve(el);
+			states.delete(el);
+		}
+	};
+
+	const onChange = (changes) => {
+		changes.forEach(change => {
+			const el = change.target;
+			const state = states.get(el);
+
+			if (!state) {
+				return;
+			}
+
+			state.ratio = getRatio(change);
+			state.visible = (change.isIntersecting || state.ratio > 0) && state.ratio >= state.options.threshold;
+
+			if (!state.visible) {
+				return end(el);
+			}
+
+			start(state);
+			state.maxRatio = Math.max(state.maxRatio, state.ratio);
+		});
+	};
+
+	// Observers can't change their root margin or thresholds, so there is one for each combination in use.
+	const getObserver = (options) => {
+		const key = `${options.rootMargin}|${options.threshold}`;
+
+		if (!observers[key]) {
+			const threshold = RATIO_STEPS.concat(options.threshold)
+				.filter((ratio, index, ratios) => ratios.indexOf(ratio) === index)
+				.sort((a, b) => a - b);
+
+			observers[key] = new IntersectionObserver(onChange, { rootMargin: options.rootMargin, threshold });
+		}
+
+		return observers[key];
+	};
+
+	const observe = (el) => {
+		if (states.has(el) || viewed.has(el)) {
+			return;
+		}
+
+		const options = getElementOptions(el, defaults);
+		const observer = getObserver(options);
+
+		states.set(el, {
+			options,
+			observer,
+			visible: false,
+			ratio: 0,
+			visibleSince: null,
+			maxRatio: 0
+		});
+		observer.observe(el);
+	};
+
+	const watch = (selector) => {
+		if (!window.MutationObserver) {
+			return;
+		}
+
+		mutationObserver = new MutationObserver(mutations => {
+			mutations.forEach(mutation => {
+				// A node which is moved is removed and then added again, so keep to that order.
+				[...mutation.removedNodes].forEach(node => findElements(node, selector).forEach(unobserve));
+				[...mutation.addedNodes].forEach(node => findElements(node, selector).forEach(observe));
+			});
+		});
+		mutationObserver.observe(document.documentElement, { childList: true, subtree: true });
+	};
+
+	// The visitor can't see anything while the page is hidden, so end the views, and start them again when it's shown.
+	const hide = () => {
+		states.forEach((state, el) => end(el));
+	};
+
+	const show = () => {
+		states.forEach(state => {
+			if (state.visible) {
+				start(state);
+			}
+		});
+	};
+
+	const disconnect = () => {
+		// Elements which are in view won't leave it now, so their views are tracked as they stand.
+		hide();
+
+		if (mutationObserver) {
+			mutationObserver.disconnect();
+		}
+
+		states.clear();
+		Object.keys(observers).forEach(key => observers[key].disconnect());
+	};
+
+	return { observe, unobserve, watch, hide, show, disconnect };
+};
+
 /**
  * Listen for view events.
  *
+ * An element is viewed once at least `threshold` of it has been in view for
+ * `dwell` milliseconds without a break. The view is tracked once it leaves view,
+ * or the page is hidden, with how long it was in view for and the most of it
+ * which was in view. Elements can override these, along with
+ * `rootMargin` and `repeat`, with `data-o-tracking-view-*` attributes. Elements
+ * which are added to the page later are tracked too.
+ *
  * @alias view#init
- * @param {Object} opts - To set custom category[String], selector[String], getContextData[Function]
+ * @param {Object} opts - To set custom category[String], selector[String], getContextData[Function], the visible
+ * ratio to count as in view, threshold[Number], the time in milliseconds to be in view for, dwell[Number], the
+ * rootMargin[String] to grow or shrink the viewport by, and whether to repeat[Boolean] the event each time it comes into view.
  * @return {undefined}
  */
 const init = (opts = {}) => {
@@ -53,33 +364,70 @@ const init = (opts = {}) => {
 	}
 
 	const selector = opts.selector || '[data-o-tracking-view]';
-	const elementsToTrack = [...document.querySelectorAll(selector)];
+	const tracker = createTracker(opts);
 
-	if (!elementsToTrack.length) {
-		return;
-	}
+	trackers.push(tracker);
+	[...document.querySelectorAll(selector)].forEach(el => tracker.observe(el));
+	tracker.watch(selector);
 
-	function onChange (changes) {
-		changes.forEach(change => {
-			if(change.isIntersecting || change.intersectionRatio > 0) {
-				const eventData = {
-					action: opts.action || 'view',
-					category: opts.category || 'component'
-				};
-				const viewedEl = change.target;
-
-				decorateEventData(eventData, viewedEl, opts);
-				Core.track(eventData);
-				observer.unobserve(viewedEl);
+	if (!listening) {
+		listening = true;
+
+		utils.addEvent(document, 'visibilitychange', () => {
+			if (document.visibilityState === 'hidden') {
+				trackers.forEach(tracker => tracker.hide());
+			} else {
+				trackers.forEach(tracker => tracker.show());
 			}
 		});
+		utils.addEvent(window, 'pagehide', () => {
+			trackers.forEach(tracker => tracker.hide());
+		});
+	}
+};
+
+/**
+ * Track views of an element, such as one in a shadow root, which isn't found by
+ * the selector. It is tracked with the options of the latest call to init.
+ *
+ * @alias view#observe
+ * @param {HTMLElement} el - The element to track.
+ * @return {undefined}
+ */
+const observe = (el) => {
+	if(!window.IntersectionObserver) {
+		return;
 	}
 
-	const observer = new IntersectionObserver(onChange, { threshold: [ 1.0 ] });
+	if (!trackers.length) {
+		trackers.push(createTracker({}));
+	}
 
-	elementsToTrack.forEach(el => observer.observe(el));
+	trackers[trackers.length - 1].observe(el);
 };
 
-export default { init };
-export { init };
+/**
+ * Stop tracking views of an element.
+ *
+ * @alias view#unobserve
+ * @param {HTMLElement} el - The element to stop tracking.
+ * @return {undefined}
+ */
+const unobserve = (el) => {
+	trackers.forEach(tracker => tracker.unobserve(el));
+};
+
+/**
+ * Stop tracking views of all elements, and stop watching for new ones. The
+ * views of elements which are in view are tracked first.
+ *
+ * @alias view#destroy
+ * @return {undefined}
+ */
+const destroy = () => {
+	trackers.forEach(tracker => tracker.disconnect());
+	trackers.length = 0;
+};
 
+export default { init, observe, unobserve, destroy };
+export { init, observe, unobserve, destroy };
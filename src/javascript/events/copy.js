@@ -0,0 +1,128 @@
+import Core from '../core';
+import utils from '../utils';
+import getTrace from '../../libs/get-trace';
+import murmurhash from '../../libs/murmurhash';
+
+let options;
+let listening = false;
+
+/**
+ * Get the element the copied text came from.
+ *
+ * @param {Selection} selection - The selection.
+ * @return {HTMLElement|undefined} The element which contains all of the selection.
+ */
+function getContainer(selection) {
+	let node = selection.rangeCount ? selection.getRangeAt(0).commonAncestorContainer : selection.anchorNode;
+
+	// Selections within a single text node have it as their container.
+	while (node && node.nodeType !== 1) {
+		node = node.parentNode;
+	}
+
+	return node || undefined;
+}
+
+/**
+ * Is the element within the tracked part of the page, and not within an element
+ * with `data-o-tracking-do-not-track`?
+ *
+ * @param {HTMLElement} element - The element.
+ * @return {boolean} Whether copying from it should be tracked.
+ */
+function isTracked(element) {
+	let inScope = false;
+
+	for (let el = element; el && el.nodeType === 1; el = el.parentNode) {
+		if (el.getAttribute('data-o-tracking-do-not-track') === 'true') {
+			return false;
+		}
+
+		inScope = inScope || utils.matches(el, options.selector);
+	}
+
+	return inScope;
+}
+
+/**
+ * Hash text, UTF-8 encoded first, as the hash only reads the lowest byte of each character.
+ * Otherwise text which differs only in other characters, e.g. '€' and '¬', would hash the same.
+ *
+ * @param {String} text - The text.
+ * @return {number} The hash.
+ */
+function hash(text) {
+	let bytes;
+
+	try {
+		bytes = utils.encode(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+	} catch (error) {
+		// Half of a surrogate pair, e.g. from a selection which splits an emoji, can't be encoded.
+		bytes = text;
+	}
+
+	return murmurhash(bytes);
+}
+
+/**
+ * Track some text being copied.
+ *
+ * @return {undefined}
+ */
+function onCopy() {
+	const selection = window.getSelection && window.getSelection();
+	const text = selection ? selection.toString() : '';
+	const container = text && getContainer(selection);
+
+	if (!container || !isTracked(container)) {
+		return;
+	}
+
+	const { trace, customContext } = getTrace(container);
+	const context = {
+		characters: text.length,
+		words: text.split(/\s+/).filter(Boolean).length,
+		domPathTokens: trace,
+		url: window.document.location.href || null
+	};
+
+	if (options.excerpt === 'hash') {
+		context.excerpt_hash = hash(text);
+	} else if (options.excerpt > 0) {
+		context.excerpt = text.slice(0, options.excerpt);
+	}
+
+	utils.assignIfUndefined(customContext, context);
+
+	Core.track({
+		category: options.category,
+		action: options.action,
+		context: context
+	});
+}
+
+/**
+ * Listen for text being copied.
+ *
+ * @alias copy#init
+ * @param {Object} opts - Optional, to set a custom category[String] or action[String], a selector[String]
+ * for the parts of the page to track, and the excerpt['hash'|Number] to send: a hash of the copied text,
+ * or how many of its characters to send.
+ * @return {undefined}
+ */
+function init(opts = {}) {
+	options = {
+		category: opts.category || 'text',
+		action: opts.action || 'copy',
+		selector: opts.selector || 'body',
+		excerpt: opts.excerpt
+	};
+
+	if (!listening) {
+		listening = true;
+		utils.addEvent(document, 'copy', onCopy);
+	}
+}
+
+export default { init };
+export { init };
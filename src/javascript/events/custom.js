@@ -1,5 +1,7 @@
 import Core from '../core';
 import utils from '../utils';
+import { ValidationError } from '../core/errors';
+import murmurhash from '../../libs/murmurhash';
 
 /**
  * Default properties for events.
@@ -23,17 +25,22 @@ const defaultEventConfig = function () {
  *   [action] - The action performed, for example: play
  *   [component_id] - Optional. The ID for the component instance.
  *
- * @param {Function} callback - Optional, Callback function. Called when request completed.
- * @return {undefined}
+ * @param {Function} callback - Optional, Callback function. Called when request completed. Passed an error if it failed, like the Promise is rejected with.
+ * @return {Promise} Resolves once the event has been sent or stored, see {@link Core.track}. Rejects with a {@link ValidationError} if the event has no category or action.
  */
 function event(trackingEvent, callback) {
 	if (utils.is(trackingEvent.detail.category) || utils.is(trackingEvent.detail.action)) {
-		const noCategoryActionVals = 'Missing category or action values';
+		const noCategoryActionVals = new ValidationError('Missing category or action values');
 		utils.broadcast('oErrors', 'log', {
-			error: noCategoryActionVals,
+			error: noCategoryActionVals.message,
 			info: { module: 'o-tracking' }
 		});
-		throw noCategoryActionVals;
+
+		if (utils.is(callback, 'function')) {
+			callback(noCategoryActionVals);
+		}
+
+		return Core.handled(Promise.reject(noCategoryActionVals));
 	}
 
 	const config = utils.merge(defaultEventConfig(), {
@@ -51,7 +58,7 @@ function event(trackingEvent, callback) {
 		config.context.component_id = config.context.component_id || getComponentId(origamiElement);
 	}
 
-	Core.track(config, callback);
+	return Core.track(config, callback);
 }
 
 /**
@@ -123,7 +130,7 @@ function getComponentId(element) {
 
 
 	// Append a sibling index to the string and use some simple, off the shelf string hashing algorithm.
-	return _generateHash(normalisedStringPath + '_siblingIndex=' + siblingIndex);
+	return murmurhash(normalisedStringPath + '_siblingIndex=' + siblingIndex);
 }
 
 /**
@@ -146,71 +153,6 @@ function _getElementPath(element) {
 	return path;
 }
 
-/**
- * JS Implementation of MurmurHash2
- *
- * @author <a href="mailto:gary.court@gmail.com">Gary Court</a>
- * @see http://github.com/garycourt/murmurhash-js
- * @author <a href="mailto:aappleby@gmail.com">Austin Appleby</a>
- * @see http://sites.google.com/site/murmurhash/
- * Copyright (c) 2011 Gary Court
- *
- * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
- *
- * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
- *
- * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
- *
- * @param {string} str  - The string to hash, ASCII only.
- *
- * @return {number} 32-bit positive integer hash
- *
- * @private
- */
-function _generateHash(str) {
-	let l = str.length;
-	let h = 1 ^ l;
-	let i = 0;
-	let k;
-
-	while (l >= 4) {
-		k = str.charCodeAt(i) & 0xff |
-			(str.charCodeAt(++i) & 0xff) << 8 |
-			(str.charCodeAt(++i) & 0xff) << 16 |
-			(str.charCodeAt(++i) & 0xff) << 24;
-
-		k = (k & 0xffff) * 0x5bd1e995 + (((k >>> 16) * 0x5bd1e995 & 0xffff) << 16);
-		k ^= k >>> 24;
-		k = (k & 0xffff) * 0x5bd1e995 + (((k >>> 16) * 0x5bd1e995 & 0xffff) << 16);
-
-		h = (h & 0xffff) * 0x5bd1e995 + (((h >>> 16) * 0x5bd1e995 & 0xffff) << 16) ^ k;
-
-		l -= 4;
-		++i;
-	}
-
-	switch (l) {
-		case 3:
-			h ^= (str.charCodeAt(i + 2) & 0xff) << 16;
-			break;
-		case 2:
-			h ^= (str.charCodeAt(i + 1) & 0xff) << 8;
-			break;
-		case 1:
-			h ^= str.charCodeAt(i) & 0xff;
-			h = (h & 0xffff) * 0x5bd1e995 + (((h >>> 16) * 0x5bd1e995 & 0xffff) << 16);
-			break;
-		default:
-			break;
-	}
-
-	h ^= h >>> 13;
-	h = (h & 0xffff) * 0x5bd1e995 + (((h >>> 16) * 0x5bd1e995 & 0xffff) << 16);
-	h ^= h >>> 15;
-
-	return h >>> 0;
-}
-
 const init = function init() {
 	utils.addEvent(window, 'oTracking.event', event);
 };
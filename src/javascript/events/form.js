@@ -0,0 +1,269 @@
+import Core from '../core';
+import utils from '../utils';
+
+/**
+ * Which properties of a field's `validity` are reported when it is invalid.
+ */
+const validityStates = [
+	'badInput',
+	'customError',
+	'patternMismatch',
+	'rangeOverflow',
+	'rangeUnderflow',
+	'stepMismatch',
+	'tooLong',
+	'tooShort',
+	'typeMismatch',
+	'valueMissing'
+];
+
+let options;
+let forms = [];
+let listening = false;
+
+/**
+ * Get the tracked form an element is in, and what has happened in it so far.
+ *
+ * @param {HTMLElement} element - The element, e.g. a field.
+ * @return {Object|undefined} The form's state, or undefined if it isn't in a tracked form.
+ */
+function getForm(element) {
+	// Forms' properties can be shadowed by their fields' names, so attributes are used instead.
+	const form = element && (element.nodeName === 'FORM' ? element : element.form);
+
+	if (!form || !form.getAttribute || !form.hasAttribute(options.attribute)) {
+		return;
+	}
+
+	let state = forms.filter(item => item.element === form)[0];
+
+	if (!state) {
+		prune();
+		state = {
+			element: form,
+			name: form.getAttribute(options.attribute) || form.getAttribute('data-trackable') || form.getAttribute('name') || form.getAttribute('id'),
+			started: null,
+			touched: {},
+			focused: {}
+		};
+		forms.push(state);
+	}
+
+	return state;
+}
+
+/**
+ * Identify a field without using its value.
+ *
+ * @param {HTMLElement} field - The field.
+ * @return {String|undefined} Its `data-trackable` attribute, `name` or `id`.
+ */
+function getFieldName(field) {
+	return field.getAttribute('data-trackable') || field.getAttribute('name') || field.id || undefined;
+}
+
+/**
+ * Is the element a field which should be tracked?
+ *
+ * @param {HTMLElement} element - The element.
+ * @return {boolean} Whether it is.
+ */
+function isTrackedField(element) {
+	return Boolean(element && /^(INPUT|SELECT|TEXTAREA)$/.test(element.nodeName) && getFieldName(element)) &&
+		element.getAttribute('data-o-tracking-do-not-track') !== 'true';
+}
+
+/**
+ * Track something happening in a form. Field values are never sent.
+ *
+ * @param {String} action - What happened.
+ * @param {Object} state - The form's state.
+ * @param {Object} context - More about what happened.
+ * @return {undefined}
+ */
+function track(action, state, context) {
+	context.form = state.name;
+	context.url = window.document.location.href || null;
+
+	Core.track({
+		category: options.category,
+		action: action,
+		context: context
+	});
+}
+
+/**
+ * A field has been focused.
+ *
+ * @param {Event} event - The focusin event.
+ * @return {undefined}
+ */
+function onFocus(event) {
+	const field = event.target;
+	const state = isTrackedField(field) && getForm(field);
+
+	if (!state) {
+		return;
+	}
+
+	const name = getFieldName(field);
+	if (state.started === null) {
+		state.started = utils.now();
+	}
+	state.touched[name] = true;
+	state.focused[name] = utils.now();
+
+	track('focus', state, { field: name, field_type: field.type });
+}
+
+/**
+ * A field has lost focus, so track how long it had it.
+ *
+ * @param {Event} event - The focusout event.
+ * @return {undefined}
+ */
+function onBlur(event) {
+	const field = event.target;
+	const state = isTrackedField(field) && getForm(field);
+	const name = state && getFieldName(field);
+
+	if (!state || state.focused[name] === undefined) {
+		return;
+	}
+
+	const duration = utils.now() - state.focused[name];
+	delete state.focused[name];
+
+	track('blur', state, { field: name, field_type: field.type, duration: duration });
+}
+
+/**
+ * A field has failed validation.
+ *
+ * @param {Event} event - The invalid event.
+ * @return {undefined}
+ */
+function onInvalid(event) {
+	const field = event.target;
+	const state = isTrackedField(field) && getForm(field);
+
+	if (!state) {
+		return;
+	}
+
+	const validity = field.validity || {};
+
+	track('invalid', state, {
+		field: getFieldName(field),
+		field_type: field.type,
+		errors: validityStates.filter(key => validity[key])
+	});
+}
+
+/**
+ * A form has been submitted.
+ *
+ * @param {Event} event - The submit event.
+ * @return {undefined}
+ */
+function onSubmit(event) {
+	const state = getForm(event.target);
+
+	if (!state) {
+		return;
+	}
+
+	state.submitted = true;
+
+	track('submit', state, {
+		fields_touched: Object.keys(state.touched).length,
+		duration: state.started === null ? 0 : utils.now() - state.started
+	});
+}
+
+/**
+ * Track a form as abandoned, if it was started but not submitted.
+ *
+ * @param {Object} state - The form's state.
+ * @return {undefined}
+ */
+function abandon(state) {
+	if (state.started !== null && !state.submitted && !state.abandoned) {
+		state.abandoned = true;
+
+		track('abandon', state, {
+			fields_touched: Object.keys(state.touched).length,
+			duration: utils.now() - state.started
+		});
+	}
+}
+
+/**
+ * Let go of the forms which have been removed from the page, e.g. with a dialog
+ * which has been closed, tracking them as abandoned if they were started.
+ *
+ * @return {undefined}
+ */
+function prune() {
+	forms = forms.filter(state => {
+		if (document.contains(state.element)) {
+			return true;
+		}
+
+		abandon(state);
+		return false;
+	});
+}
+
+/**
+ * The visitor has left the page, so track the forms which were started but not submitted.
+ * Only leaving counts, as a visitor who switches to another tab for a moment can still come back and submit.
+ *
+ * @return {undefined}
+ */
+function onLeave() {
+	forms.forEach(abandon);
+}
+
+/**
+ * Another page has been tracked in a single page app, which leaves the last one
+ * too. The forms still on the page are started afresh for the new one.
+ *
+ * @return {undefined}
+ */
+function onPageView() {
+	onLeave();
+	forms = [];
+}
+
+/**
+ * Track how visitors use forms which have the `data-o-tracking-form` attribute:
+ * focusing on and leaving each field, fields failing validation, submitting
+ * the form, and leaving the page, or removing the form, without submitting it.
+ *
+ * @alias form#init
+ * @param {Object} opts - Optional, to set a custom category[String], or the attribute[String] which marks forms to track.
+ * @return {undefined}
+ */
+function init(opts = {}) {
+	options = {
+		category: opts.category || 'form',
+		attribute: opts.attribute || 'data-o-tracking-form'
+	};
+	forms = [];
+
+	if (!listening) {
+		listening = true;
+
+		utils.addEvent(document, 'focusin', onFocus);
+		utils.addEvent(document, 'focusout', onBlur);
+		// Invalid events don't bubble.
+		utils.addEvent(document, 'invalid', onInvalid, true);
+		utils.addEvent(document, 'submit', onSubmit);
+		utils.addEvent(window, 'pagehide', onLeave);
+		utils.onPage(onPageView);
+	}
+}
+
+export default { init };
+export { init };
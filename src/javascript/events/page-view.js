@@ -27,7 +27,7 @@ const defaultPageConfig = function () {
  *
  * @param {Object} config - Configuration object. If omitted, will use the defaults.
  * @param {Function} callback - Callback function. Called when request completed.
- * @return {undefined}
+ * @return {Promise} Resolves once the page view has been sent or queued, see {@link Core.track}.
  */
 function page(config, callback) {
 	config = utils.merge(defaultPageConfig(), {
@@ -39,11 +39,13 @@ function page(config, callback) {
 		Core.setRootID();
 	}
 
-	Core.track(config, callback);
+	const sent = Core.track(config, callback);
 
 	// Alert internally that a new page has been tracked - for single page apps for example.
 	settings.set('page_viewed', true);
 	utils.triggerPage();
+
+	return sent;
 }
 
 /**
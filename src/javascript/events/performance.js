@@ -0,0 +1,222 @@
+import Core from '../core';
+import utils from '../utils';
+
+let options;
+let rootID;
+let sent;
+let timer;
+let observers = [];
+let metrics;
+let layoutShifts;
+let interactions;
+let listening = false;
+
+/**
+ * Round a time to the nearest millisecond.
+ *
+ * @param {number} time - The time.
+ * @return {number|undefined} The rounded time, or undefined if there isn't one.
+ */
+function round(time) {
+	return time > 0 ? Math.round(time) : undefined;
+}
+
+/**
+ * Get the timings from the Navigation Timing API.
+ *
+ * @return {Object} The time to first byte, and when the DOM was interactive, the DOM content was loaded and the page was loaded.
+ */
+function getNavigationTiming() {
+	const entry = window.performance && window.performance.getEntriesByType && window.performance.getEntriesByType('navigation')[0];
+
+	if (!entry) {
+		return {};
+	}
+
+	return {
+		// Pages which were prerendered start when they are shown.
+		ttfb: round(entry.responseStart - (entry.activationStart || 0)),
+		dom_interactive: round(entry.domInteractive),
+		dom_content_loaded: round(entry.domContentLoadedEventEnd),
+		load: round(entry.loadEventEnd),
+		transfer_size: entry.transferSize
+	};
+}
+
+/**
+ * Add up the layout shifts in each session window, which ends after a second
+ * without shifts or after five seconds. CLS is the largest window's total.
+ *
+ * @param {Array} entries - The layout-shift entries.
+ * @return {undefined}
+ */
+function onLayoutShift(entries) {
+	entries.forEach(entry => {
+		// Shifts straight after input are expected.
+		if (entry.hadRecentInput) {
+			return;
+		}
+
+		const first = layoutShifts.entries[0];
+		const last = layoutShifts.entries[layoutShifts.entries.length - 1];
+
+		if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+			layoutShifts.value += entry.value;
+			layoutShifts.entries.push(entry);
+		} else {
+			layoutShifts.value = entry.value;
+			layoutShifts.entries = [entry];
+		}
+
+		metrics.cls = Math.max(metrics.cls || 0, Math.round(layoutShifts.value * 1000) / 1000);
+	});
+}
+
+/**
+ * Get the Interaction to Next Paint: the longest interaction, ignoring one in every 50.
+ *
+ * @return {number|undefined} The INP, or undefined if there were no interactions.
+ */
+function getInp() {
+	const durations = Object.keys(interactions).map(id => interactions[id]).sort((a, b) => b - a);
+
+	if (durations.length) {
+		return durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)];
+	}
+}
+
+/**
+ * The handlers for each type of performance entry.
+ */
+const handlers = {
+	'largest-contentful-paint': entries => {
+		const entry = entries[entries.length - 1];
+		metrics.lcp = round(entry.renderTime || entry.loadTime || entry.startTime);
+	},
+	'layout-shift': onLayoutShift,
+	'event': entries => {
+		entries.forEach(entry => {
+			if (entry.interactionId) {
+				interactions[entry.interactionId] = Math.max(interactions[entry.interactionId] || 0, entry.duration);
+			}
+		});
+	},
+	'first-input': entries => {
+		metrics.fid = Math.round(entries[0].processingStart - entries[0].startTime);
+	},
+	'longtask': entries => {
+		metrics.long_tasks = (metrics.long_tasks || 0) + entries.length;
+	}
+};
+
+/**
+ * Observe a type of performance entry, including the entries from before now.
+ *
+ * @param {String} type - The entry type.
+ * @return {undefined}
+ */
+function observe(type) {
+	const supported = window.PerformanceObserver.supportedEntryTypes;
+
+	if (supported && supported.indexOf(type) === -1) {
+		return;
+	}
+
+	const handle = entries => {
+		if (entries.length) {
+			handlers[type](entries);
+		}
+	};
+
+	try {
+		const observer = new window.PerformanceObserver(list => handle(list.getEntries()));
+		observer.observe({ type: type, buffered: true, durationThreshold: type === 'event' ? 40 : undefined });
+		observers.push({ observer: observer, handle: handle });
+	} catch (error) {
+		// This browser can't observe this type of entry.
+	}
+}
+
+/**
+ * Track the performance of the page view, once.
+ *
+ * @return {undefined}
+ */
+function send() {
+	if (sent) {
+		return;
+	}
+	sent = true;
+	clearTimeout(timer);
+
+	// Take the entries which haven't been passed to the observers yet.
+	observers.forEach(({ observer, handle }) => {
+		if (observer.takeRecords) {
+			handle(observer.takeRecords());
+		}
+		observer.disconnect();
+	});
+	observers = [];
+
+	metrics.inp = getInp();
+
+	const context = Object.assign({ root_id: rootID }, getNavigationTiming(), metrics);
+	Object.keys(context).forEach(key => {
+		if (context[key] === undefined) {
+			delete context[key];
+		}
+	});
+
+	Core.track({
+		category: options.category,
+		action: options.action,
+		context: context
+	});
+}
+
+/**
+ * Track the page view's performance: navigation timing, Core Web Vitals (LCP, CLS and INP),
+ * FID, TTFB and the number of long tasks. They are sent as one event when the
+ * page is hidden, or after a delay.
+ *
+ * @alias performance#init
+ * @param {Object} opts - Optional, to set a custom category[String] or action[String],
+ * and a delay[Number] in milliseconds after which to send the event if the page hasn't been hidden yet.
+ * @return {undefined}
+ */
+function init(opts = {}) {
+	if (sent === false) {
+		send();
+	}
+
+	options = {
+		category: opts.category || 'page',
+		action: opts.action || 'performance'
+	};
+	rootID = Core.getRootID();
+	sent = false;
+	metrics = {};
+	layoutShifts = { value: 0, entries: [] };
+	interactions = {};
+
+	if (window.PerformanceObserver) {
+		Object.keys(handlers).forEach(observe);
+	}
+
+	if (opts.delay) {
+		timer = setTimeout(send, opts.delay);
+	}
+
+	if (!listening) {
+		listening = true;
+		utils.addEvent(window, 'pagehide', () => send());
+		utils.addEvent(document, 'visibilitychange', () => {
+			if (document.visibilityState === 'hidden') {
+				send();
+			}
+		});
+	}
+}
+
+export default { init };
+export { init };
@@ -0,0 +1,128 @@
+import Core from '../core';
+import utils from '../utils';
+
+/**
+ * How often to measure the scroll depth while the page is scrolling, in milliseconds.
+ */
+const interval = 100;
+
+let options;
+let reported;
+let rootID;
+let timer;
+let listening = false;
+
+/**
+ * Get the element the scroll depth is measured against.
+ *
+ * @return {HTMLElement|undefined} The container, or undefined to measure against the document.
+ */
+function getContainer() {
+	if (utils.is(options.container, 'string')) {
+		return document.querySelector(options.container) || undefined;
+	}
+
+	return options.container;
+}
+
+/**
+ * How far down the document, or the container, the visitor has scrolled.
+ *
+ * @return {number} The percentage of it which has been in view, from 0 to 100.
+ */
+function getDepth() {
+	const container = getContainer();
+	const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+	let seen;
+	let height;
+
+	if (container) {
+		const rect = container.getBoundingClientRect();
+		seen = viewportHeight - rect.top;
+		height = rect.height;
+	} else {
+		seen = (window.pageYOffset || document.documentElement.scrollTop) + viewportHeight;
+		height = Math.max(document.body.scrollHeight, document.documentElement.scrollHeight);
+	}
+
+	if (!height) {
+		return 0;
+	}
+
+	return Math.max(0, Math.min(100, seen / height * 100));
+}
+
+/**
+ * Track each threshold the visitor has scrolled past, once per page view.
+ *
+ * @return {undefined}
+ */
+function measure() {
+	timer = null;
+
+	// A new page view, e.g. in a single page app, starts again.
+	if (rootID !== Core.getRootID()) {
+		rootID = Core.getRootID();
+		reported = {};
+	}
+
+	const depth = getDepth();
+
+	options.thresholds.forEach(threshold => {
+		if (depth >= threshold && !reported[threshold]) {
+			reported[threshold] = true;
+
+			Core.track({
+				category: options.category,
+				action: options.action,
+				context: {
+					maxscroll: threshold,
+					url: window.document.location.href || null
+				}
+			});
+		}
+	});
+}
+
+/**
+ * Measure the scroll depth, at most once per interval while the page is scrolling.
+ *
+ * @return {undefined}
+ */
+function onScroll() {
+	if (!timer) {
+		timer = setTimeout(measure, interval);
+	}
+}
+
+/**
+ * Track how far visitors scroll down the page.
+ *
+ * @alias scroll#init
+ * @param {Object} opts - Optional, to set a custom category[String] or action[String], the thresholds[Array]
+ * to report as percentages, and a container[String|HTMLElement] to measure against instead of the document.
+ * @return {undefined}
+ */
+function init(opts = {}) {
+	options = {
+		category: opts.category || 'page',
+		action: opts.action || 'scroll',
+		thresholds: (opts.thresholds || [25, 50, 75, 100]).slice().sort((a, b) => a - b),
+		container: opts.container
+	};
+	rootID = Core.getRootID();
+	reported = {};
+
+	if (!listening) {
+		listening = true;
+		utils.addEvent(window, 'scroll', onScroll, { passive: true });
+
+		// Single page apps can replace the container, so look for it again on each page view.
+		utils.onPage(onScroll);
+	}
+
+	measure();
+}
+
+export default { init };
+export { init };
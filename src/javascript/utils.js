@@ -117,10 +117,11 @@ function decode(str) {
  * @param {Element} element
  * @param {string} event
  * @param {Function} listener
+ * @param {Object|boolean} options - Optional, e.g. `{ passive: true }`, or `true` to listen in the capture phase.
  */
-function addEvent(element, event, listener) {
+function addEvent(element, event, listener, options) {
 	if (element.addEventListener) {
-		element.addEventListener(event, listener, false);
+		element.addEventListener(event, listener, options || false);
 	} else {
 		element.attachEvent('on' + event, listener);
 	}
@@ -236,6 +237,27 @@ function sanitise (str) {
 	return typeof str === 'string' ? str.trim() : str;
 }
 
+/**
+ * Get the current time.
+ *
+ * @return {number} The time in milliseconds.
+ */
+function now() {
+	return new Date().getTime();
+}
+
+/**
+ * Does the element match the selector? Old browsers have a prefixed `matches`.
+ *
+ * @param {HTMLElement} element - The element.
+ * @param {String} selector - The selector.
+ * @return {boolean} Whether it matches.
+ */
+function matches(element, selector) {
+	const match = element.matches || element.msMatchesSelector || element.webkitMatchesSelector;
+	return match.call(element, selector);
+}
+
 /**
  * Assign the subject value if the target properties are undefined
  * @param {Object} subject - assign the value
@@ -273,6 +295,8 @@ export default {
 	getValueFromUrl,
 	getValueFromJsVariable,
 	sanitise,
+	now,
+	matches,
 	assignIfUndefined,
 	whitelistProps
 };
@@ -292,6 +316,8 @@ export {
 	getValueFromUrl,
 	getValueFromJsVariable,
 	sanitise,
+	now,
+	matches,
 	assignIfUndefined,
 	whitelistProps
 };
@@ -0,0 +1,65 @@
+/**
+ * JS Implementation of MurmurHash2
+ *
+ * @author <a href="mailto:gary.court@gmail.com">Gary Court</a>
+ * @see http://github.com/garycourt/murmurhash-js
+ * @author <a href="mailto:aappleby@gmail.com">Austin Appleby</a>
+ * @see http://sites.google.com/site/murmurhash/
+ * Copyright (c) 2011 Gary Court
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ *
+ * @param {string} str  - The string to hash, ASCII only.
+ *
+ * @return {number} 32-bit positive integer hash
+ */
+function murmurhash(str) {
+	let l = str.length;
+	let h = 1 ^ l;
+	let i = 0;
+	let k;
+
+	while (l >= 4) {
+		k = str.charCodeAt(i) & 0xff |
+			(str.charCodeAt(++i) & 0xff) << 8 |
+			(str.charCodeAt(++i) & 0xff) << 16 |
+			(str.charCodeAt(++i) & 0xff) << 24;
+
+		k = (k & 0xffff) * 0x5bd1e995 + (((k >>> 16) * 0x5bd1e995 & 0xffff) << 16);
+		k ^= k >>> 24;
+		k = (k & 0xffff) * 0x5bd1e995 + (((k >>> 16) * 0x5bd1e995 & 0xffff) << 16);
+
+		h = (h & 0xffff) * 0x5bd1e995 + (((h >>> 16) * 0x5bd1e995 & 0xffff) << 16) ^ k;
+
+		l -= 4;
+		++i;
+	}
+
+	switch (l) {
+		case 3:
+			h ^= (str.charCodeAt(i + 2) & 0xff) << 16;
+			break;
+		case 2:
+			h ^= (str.charCodeAt(i + 1) & 0xff) << 8;
+			break;
+		case 1:
+			h ^= str.charCodeAt(i) & 0xff;
+			h = (h & 0xffff) * 0x5bd1e995 + (((h >>> 16) * 0x5bd1e995 & 0xffff) << 16);
+			break;
+		default:
+			break;
+	}
+
+	h ^= h >>> 13;
+	h = (h & 0xffff) * 0x5bd1e995 + (((h >>> 16) * 0x5bd1e995 & 0xffff) << 16);
+	h ^= h >>> 15;
+
+	return h >>> 0;
+}
+
+export default murmurhash;
+export { murmurhash };
@@ -4,9 +4,12 @@
 import settings from '../src/javascript/core/settings';
 import Queue from '../src/javascript/core/queue';
 import session from '../src/javascript/core/session';
+import User from '../src/javascript/core/user';
 import send from '../src/javascript/core/send';
 import Core from '../src/javascript/core.js';
+import consent from '../src/javascript/core/consent';
 import { errorNextSend } from './setup';
+import { TransportError, ConsentError, ValidationError, DroppedError } from '../src/javascript/core/errors';
 
 describe('Core', function () {
 
@@ -63,7 +66,7 @@ describe('Core', function () {
 			const sent_data = callback.getCall(0).thisValue;
 			proclaim.deepEqual(Object.keys(sent_data), ["system","context","user","device","category","action"]);
 			// System
-			proclaim.deepEqual(Object.keys(sent_data.system), ["api_key","version","source"]);
+			proclaim.deepEqual(Object.keys(sent_data.system), ["api_key","version","source","attempt"]);
 			proclaim.equal(sent_data.system.api_key, "qUb9maKfKbtpRsdp0p2J7uWxRPGJEP");
 			proclaim.equal(sent_data.system.version, "1.0.0");
 			proclaim.equal(sent_data.system.source, "o-tracking");
@@ -104,6 +107,175 @@ describe('Core', function () {
 
 			proclaim.ok(callback.calledOnce, 'Callback should only be called once as next send could be on a different page.');
 		});
+
+		it('should resolve once the request has been sent', function () {
+			return Core.track({ category: 'page', action: 'view' }).then(function (request) {
+				proclaim.equal(request.category, 'page');
+				proclaim.ok(request.system.attempt, 'resolves with the request as sent');
+			});
+		});
+
+		it('should resolve once the request has been queued to send later', function () {
+			new Queue('requests').replace([]);
+			send.init();
+			settings.set('config', { batch: { size: 10, timeout: 60000 } });
+			const sending = Core.track({ category: 'page', action: 'view' });
+			settings.destroy('config');
+
+			return sending.then(function (request) {
+				proclaim.isUndefined((request.system || {}).attempt, 'hasn\'t been sent yet');
+				proclaim.equal(new Queue('requests').all().length, 1);
+				new Queue('requests').replace([]);
+				send.init();
+			});
+		});
+
+		it('should not resolve while consent is pending, as the request is only held in memory', function () {
+			const resolved = sinon.spy();
+			new Queue('requests').replace([]);
+			consent.init({ state: 'pending' });
+			send.init();
+
+			const sending = Core.track({ category: 'page', action: 'view' });
+			sending.then(resolved, function () {});
+
+			return Promise.resolve().then(function () {
+				proclaim.isFalse(resolved.called, 'waits until it is sent or dropped');
+
+				consent.update({ state: 'denied' });
+				send.clear();
+
+				return sending;
+			}).then(function () {
+				throw new Error('Should have been rejected');
+			}, function (error) {
+				proclaim.isInstanceOf(error, ConsentError);
+				consent.destroy();
+				send.init();
+			});
+		});
+
+		it('should reject with a TransportError when the request fails to send', function () {
+			const callback = sinon.spy();
+			errorNextSend();
+
+			return Core.track({ category: 'page', action: 'view' }, callback).then(function () {
+				throw new Error('Should have been rejected');
+			}, function (error) {
+				proclaim.isInstanceOf(error, TransportError);
+				proclaim.equal(error.name, 'TransportError');
+				proclaim.equal(error.message, 'mock error');
+				proclaim.equal(error.request.category, 'page');
+				proclaim.strictEqual(callback.getCall(0).args[0], error, 'the callback is passed the error too');
+			});
+		});
+
+		it('should redact personal data before sending', function () {
+			return Core.track({ category: 'page', action: 'view', context: { url: 'https://www.ft.com/?email=joe@example.com' } }).then(function (request) {
+				proclaim.equal(request.context.url, 'https://www.ft.com/?email=[redacted]');
+				proclaim.deepEqual(request.system.redactions, { email: 1 });
+			});
+		});
+
+		it('should not change the context it is given when redacting personal data', function () {
+			const context = { url: 'https://www.ft.com/', form: { email: 'joe@example.com' } };
+
+			return Core.track({ category: 'page', action: 'view', context: context }).then(function (request) {
+				proclaim.equal(request.context.form.email, '[redacted]');
+				proclaim.equal(context.form.email, 'joe@example.com', 'the caller can reuse it');
+			});
+		});
+
+		it('should not carry system properties from one request to the next', function () {
+			settings.set('config', { system: { product: 'next' }, validation: { builtIn: true } });
+
+			// Both resolve with the requests as they were sent, which the queue doesn't change afterwards.
+			return Core.track({ category: 'page', action: 'view', context: { url: 'https://www.ft.com/' } }).then(function (invalid) {
+				proclaim.equal(invalid.system.attempt, 1, 'has been sent');
+				proclaim.isArray(invalid.system.validation_errors);
+
+				return Core.track({ category: 'video', action: 'seek' });
+			}).then(function (valid) {
+				proclaim.equal(valid.system.attempt, 1, 'has been sent');
+				proclaim.equal(valid.system.product, 'next');
+				proclaim.isUndefined(valid.system.validation_errors);
+				proclaim.deepEqual(settings.get('config').system, { product: 'next' }, 'the config is not changed');
+				settings.destroy('config');
+			});
+		});
+
+		it('should reject invalid events in strict developer mode', function () {
+			settings.set('config', { validation: { strict: true, builtIn: true } });
+			settings.set('developer', true);
+
+			return Core.track({ category: 'page', action: 'view' }).then(function () {
+				throw new Error('Should have been rejected');
+			}, function (error) {
+				proclaim.isInstanceOf(error, ValidationError);
+				proclaim.include(error.message, 'context.product is required');
+				settings.destroy('developer');
+				settings.destroy('config');
+			});
+		});
+
+		it('should reject events which aren\'t sampled', function () {
+			settings.set('config', { sampling: { rates: { 'scroll:*': 0 } } });
+
+			return Core.track({ category: 'scroll', action: 'depth' }).then(function () {
+				throw new Error('Should have been rejected');
+			}, function (error) {
+				proclaim.isInstanceOf(error, DroppedError);
+				settings.destroy('config');
+			});
+		});
+
+		describe('privacy signals', function () {
+
+			beforeEach(function () {
+				new Queue('requests').replace([]);
+				send.init();
+				Object.defineProperty(navigator, 'globalPrivacyControl', { value: true, configurable: true });
+			});
+
+			afterEach(function () {
+				delete navigator.globalPrivacyControl;
+				settings.destroy('config');
+			});
+
+			it('should send anonymised requests, recording the policy', function () {
+				settings.set('config', { privacy: { policy: 'anonymise' } });
+				sinon.spy(User, 'userID');
+				sinon.spy(session, 'session');
+
+				return Core.track({ category: 'page', action: 'view' }).then(function (request) {
+					const lookedUp = { id: User.userID.called, session: session.session.called };
+					User.userID.restore();
+					session.session.restore();
+
+					proclaim.deepEqual(lookedUp, { id: false, session: false }, 'the visitor\'s ids aren\'t looked up');
+
+					proclaim.isUndefined(request.user);
+					proclaim.isUndefined(request.device.spoor_id);
+					proclaim.isUndefined(request.device.spoor_session);
+					proclaim.isUndefined(request.device.spoor_session_is_new);
+					proclaim.equal(request.system.privacy, 'anonymise');
+					proclaim.equal(request.system.privacy_signal, 'globalPrivacyControl');
+				});
+			});
+
+			it('should reject suppressed requests with a ConsentError', function () {
+				const callback = sinon.spy();
+				settings.set('config', { privacy: { policy: 'suppress' } });
+
+				return Core.track({ category: 'page', action: 'view' }, callback).then(function () {
+					throw new Error('Should have been rejected');
+				}, function (error) {
+					proclaim.isInstanceOf(error, ConsentError);
+					proclaim.strictEqual(callback.getCall(0).args[0], error);
+					proclaim.equal(new Queue('requests').all().length, 0, 'nothing is queued');
+				});
+			});
+		});
 	});
 
 
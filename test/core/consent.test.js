@@ -0,0 +1,115 @@
+/* eslint-env mocha */
+/* global proclaim sinon */
+
+import consent from '../../src/javascript/core/consent';
+import Store from '../../src/javascript/core/store';
+
+describe('Core.Consent', function () {
+
+	afterEach(function () {
+		consent.destroy();
+		delete window.__tcfapi;
+		document.cookie = 'consent_test=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/';
+		document.cookie = 'consent.test+[1]=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/';
+		document.cookie = 'consentXtest+[1]=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/';
+		new Store('consent_test').destroy();
+	});
+
+	it('should be granted without any consent config', function () {
+		proclaim.equal(consent.init(), consent.GRANTED);
+	});
+
+	it('should be pending until a configured source answers', function () {
+		proclaim.equal(consent.init({ cookie: { name: 'consent_test', granted: 'yes' } }), consent.PENDING);
+	});
+
+	it('should take the explicit state over the other sources', function () {
+		proclaim.equal(consent.init({ state: 'denied', callback: () => true }), consent.DENIED);
+		proclaim.equal(consent.init({ state: 'pending', callback: () => true }), consent.PENDING);
+	});
+
+	it('should read the consent cookie', function () {
+		document.cookie = 'consent_test=' + encodeURIComponent('analytics:yes') + ';path=/';
+		proclaim.equal(consent.init({ cookie: { name: 'consent_test', granted: 'analytics:yes' } }), consent.GRANTED);
+
+		document.cookie = 'consent_test=analytics:no;path=/';
+		proclaim.equal(consent.init({ cookie: { name: 'consent_test', granted: 'analytics:yes' } }), consent.DENIED);
+	});
+
+	it('should not grant consent from the cookie if the granted text is not set', function () {
+		document.cookie = 'consent_test=undefined;path=/';
+		proclaim.equal(consent.init({ cookie: { name: 'consent_test' } }), consent.DENIED);
+		proclaim.equal(consent.init({ cookie: { name: 'consent_test', granted: '' } }), consent.DENIED);
+	});
+
+	it('should read a consent cookie whose name has special characters in regular expressions', function () {
+		document.cookie = 'consentXtest+[1]=analytics:yes;path=/';
+		proclaim.equal(consent.init({ cookie: { name: 'consent.test+[1]', granted: 'analytics:yes' } }), consent.PENDING, 'only the named cookie is read');
+
+		document.cookie = 'consent.test+[1]=analytics:no;path=/';
+		proclaim.equal(consent.init({ cookie: { name: 'consent.test+[1]', granted: 'analytics:yes' } }), consent.DENIED);
+	});
+
+	it('should ask the callback, which can answer later', function () {
+		let answer;
+		const onChange = sinon.spy();
+
+		proclaim.equal(consent.init({ callback: callback => { answer = callback; } }, onChange), consent.PENDING);
+
+		answer(true);
+		proclaim.equal(consent.get(), consent.GRANTED);
+		proclaim.isTrue(onChange.calledWith(consent.GRANTED));
+	});
+
+	it('should read consent from a TCF v2 CMP', function () {
+		let listener;
+		window.__tcfapi = function (command, version, callback) {
+			listener = callback;
+		};
+
+		proclaim.equal(consent.init({ tcf: { purposes: [1, 8] } }), consent.PENDING);
+
+		listener({ eventStatus: 'cmpuishown' }, true);
+		proclaim.equal(consent.get(), consent.PENDING);
+
+		listener({ eventStatus: 'useractioncomplete', gdprApplies: true, purpose: { consents: { 1: true, 8: false } } }, true);
+		proclaim.equal(consent.get(), consent.DENIED);
+
+		listener({ eventStatus: 'useractioncomplete', gdprApplies: true, purpose: { consents: { 1: true, 8: true } } }, true);
+		proclaim.equal(consent.get(), consent.GRANTED);
+	});
+
+	it('should be granted when the CMP says GDPR does not apply', function () {
+		window.__tcfapi = function (command, version, callback) {
+			callback({ eventStatus: 'tcloaded', gdprApplies: false }, true);
+		};
+
+		proclaim.equal(consent.init({ tcf: true }), consent.GRANTED);
+	});
+
+	it('should honour updates to the config', function () {
+		const onChange = sinon.spy();
+		consent.init({ state: 'pending' }, onChange);
+
+		proclaim.equal(consent.update({ state: 'granted' }), consent.GRANTED);
+		proclaim.isTrue(onChange.calledWith(consent.GRANTED));
+	});
+
+	it('should merge updates with the existing config', function () {
+		consent.init({ callback: () => false });
+
+		proclaim.equal(consent.update({ cookie: { name: 'consent_test', granted: 'yes' } }), consent.DENIED, 'the callback is still asked');
+	});
+
+	it('should only keep data in memory until consent is granted', function () {
+		consent.init({ state: 'pending' });
+		new Store('consent_test').write('held');
+
+		proclaim.equal(new Store('consent_test').read(), null);
+
+		consent.update({ state: 'granted' });
+		new Store('consent_test').write('stored');
+
+		proclaim.equal(new Store('consent_test').read(), 'stored');
+	});
+});
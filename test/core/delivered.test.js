@@ -0,0 +1,37 @@
+/* eslint-env mocha */
+/* global proclaim */
+
+import delivered from '../../src/javascript/core/delivered';
+
+describe('Core.Delivered', function () {
+
+	beforeEach(function () {
+		delivered.init();
+		delivered.destroy();
+	});
+
+	it('should remember delivered ids', function () {
+		delivered.add(['one', 'two']);
+
+		proclaim.isTrue(delivered.has('one'));
+		proclaim.isTrue(delivered.has('two'));
+		proclaim.isFalse(delivered.has('three'));
+	});
+
+	it('should remember ids delivered by another tab', function () {
+		delivered.add(['one']);
+		delivered.init();
+
+		proclaim.isTrue(delivered.has('one'));
+	});
+
+	it('should forget the oldest ids', function () {
+		for (let i = 0; i <= 100; i++) {
+			delivered.add(['id' + i]);
+		}
+
+		proclaim.isFalse(delivered.has('id0'));
+		proclaim.isTrue(delivered.has('id1'));
+		proclaim.isTrue(delivered.has('id100'));
+	});
+});
@@ -0,0 +1,158 @@
+/* eslint-env mocha */
+/* global proclaim sinon */
+
+import Lock from '../../src/javascript/core/lock';
+import Store from '../../src/javascript/core/store';
+
+describe('Core.Lock', function () {
+	const lock_name = 'lock_test';
+	const lease = new Store(lock_name + '_lock');
+
+	beforeEach(function () {
+		lease.destroy();
+	});
+
+	// Use the lease on its own, whether or not the browser has Web Locks.
+	function leaseLock(name, duration) {
+		const lock = new Lock(name, duration);
+		lock.locks = undefined;
+		return lock;
+	}
+
+	it('should require a name', function () {
+		proclaim.throws(function () {
+			new Lock();
+		}, /You must specify a name for the lock/);
+	});
+
+	it('should take a free lock', function () {
+		const lock = leaseLock(lock_name);
+
+		proclaim.isTrue(lock.acquire());
+		proclaim.isTrue(lock.held());
+	});
+
+	it('should not take a lock another tab has', function () {
+		const expires = new Date().getTime() + 5000;
+		lease.write({ owner: 'another tab', expires: expires });
+
+		const lock = leaseLock(lock_name);
+
+		proclaim.isFalse(lock.acquire());
+		proclaim.equal(lock.expires(), expires);
+	});
+
+	it('should take a lock once another tab\'s lease has run out', function () {
+		lease.write({ owner: 'another tab', expires: new Date().getTime() - 1 });
+
+		proclaim.isTrue(leaseLock(lock_name).acquire());
+	});
+
+	it('should renew the lease', function () {
+		const lock = leaseLock(lock_name, 1000);
+		lock.acquire();
+		const expires = lock.expires();
+
+		lock.duration = 5000;
+		proclaim.isTrue(lock.acquire());
+		proclaim.isTrue(lock.expires() > expires);
+	});
+
+	it('should let another tab take the lock once released', function () {
+		const lock = leaseLock(lock_name);
+		lock.acquire();
+		lock.release();
+
+		proclaim.isFalse(lock.held());
+		proclaim.equal(lock.expires(), 0);
+	});
+
+	it('should not release a lock another tab has', function () {
+		lease.write({ owner: 'another tab', expires: new Date().getTime() + 5000 });
+
+		leaseLock(lock_name).release();
+
+		proclaim.equal(new Store(lock_name + '_lock').read().owner, 'another tab');
+	});
+
+	describe('with Web Locks', function () {
+		let count = 0;
+		let name;
+		let requests;
+
+		beforeEach(function () {
+			// Each test needs its own lock, as Web Locks are shared by every lock with the same name.
+			name = 'web_lock_test_' + count++;
+			requests = [];
+		});
+
+		function webLock() {
+			const lock = new Lock(name);
+			lock.locks = {
+				request: function (name, options, callback) {
+					requests.push({ name: name, options: callback ? options : {}, callback: callback || options });
+				}
+			};
+			return lock;
+		}
+
+		it('should use the lease while waiting to hear about the Web Lock', function () {
+			const lock = webLock();
+
+			proclaim.isTrue(lock.acquire());
+			proclaim.equal(requests.length, 1);
+			proclaim.equal(requests[0].name, 'o-tracking_' + name);
+			proclaim.isTrue(requests[0].options.ifAvailable);
+		});
+
+		it('should keep the Web Lock once given it', function () {
+			const lock = webLock();
+			lock.acquire();
+			proclaim.instanceOf(requests[0].callback({ name: 'o-tracking_' + name }), Promise);
+
+			new Store(name + '_lock').write({ owner: 'another tab', expires: new Date().getTime() + 5000 });
+
+			proclaim.isTrue(lock.acquire());
+			proclaim.isTrue(lock.held());
+			proclaim.equal(requests.length, 1);
+		});
+
+		it('should wait for the Web Lock while another tab has it', function () {
+			const callback = sinon.spy();
+			const lock = webLock();
+			lock.acquire();
+			requests[0].callback(null);
+
+			proclaim.isFalse(lock.acquire(callback));
+			proclaim.isFalse(lock.acquire(callback));
+			proclaim.equal(requests.length, 2);
+			proclaim.isUndefined(requests[1].options.ifAvailable);
+
+			requests[1].callback({ name: 'o-tracking_' + name });
+
+			proclaim.isTrue(callback.calledOnce);
+			proclaim.isTrue(lock.acquire());
+		});
+
+		it('should not ask for a Web Lock if there\'s no storage to share', function () {
+			const lock = webLock();
+			lock.storage.storage._type = 'none';
+
+			proclaim.isTrue(lock.acquire());
+			proclaim.isTrue(lock.held());
+			proclaim.equal(requests.length, 0);
+		});
+
+		it('should give up the Web Lock when the page is hidden', function () {
+			const lock = webLock();
+			lock.acquire();
+			const held = requests[0].callback({ name: 'o-tracking_' + name });
+
+			window.dispatchEvent(new Event('pagehide'));
+
+			lock.acquire();
+			proclaim.equal(requests.length, 2);
+			return held;
+		});
+	});
+});
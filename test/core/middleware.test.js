@@ -0,0 +1,77 @@
+/* eslint-env mocha */
+/* global proclaim sinon */
+
+import middleware from '../../src/javascript/core/middleware';
+
+describe('Core.Middleware', function () {
+
+	afterEach(function () {
+		middleware.destroy();
+	});
+
+	it('should only take functions', function () {
+		proclaim.throws(function () {
+			middleware.use('not a function');
+		}, /Hooks must be functions/);
+	});
+
+	it('should pass the request through the hooks in order', function () {
+		const callback = sinon.spy();
+		middleware.use(request => {
+			request.context.order = ['first'];
+		});
+		middleware.use(request => Object.assign({}, request, { rewritten: true }));
+		middleware.use(request => {
+			request.context.order.push('third');
+		});
+
+		middleware.run({ context: {} }, callback);
+
+		proclaim.isTrue(callback.calledOnce, 'synchronous hooks finish straight away');
+		proclaim.deepEqual(callback.firstCall.args[0], { context: { order: ['first', 'third'] }, rewritten: true });
+	});
+
+	it('should drop the request if a hook returns false', function () {
+		const callback = sinon.spy();
+		const later = sinon.spy();
+		middleware.use(() => false);
+		middleware.use(later);
+
+		middleware.run({}, callback);
+
+		proclaim.isNull(callback.firstCall.args[0]);
+		proclaim.isFalse(later.called, 'later hooks are skipped');
+	});
+
+	it('should wait for asynchronous hooks', function (done) {
+		middleware.use(request => Promise.resolve(Object.assign({ enriched: true }, request)));
+		middleware.use(request => {
+			request.checked = true;
+		});
+
+		middleware.run({}, function (request) {
+			proclaim.deepEqual(request, { enriched: true, checked: true });
+			done();
+		});
+	});
+
+	it('should report errors and carry on without the broken hook', function (done) {
+		const errors = sinon.spy();
+		window.addEventListener('oErrors.log', errors);
+		middleware.use(function broken() {
+			throw new Error('broken hook');
+		});
+		middleware.use(() => Promise.reject(new Error('broken promise')));
+		middleware.use(request => {
+			request.reached = true;
+		});
+
+		middleware.run({}, function (request) {
+			window.removeEventListener('oErrors.log', errors);
+			proclaim.isTrue(request.reached);
+			proclaim.equal(errors.callCount, 2);
+			proclaim.deepEqual(errors.firstCall.args[0].detail, { error: 'broken hook', info: { module: 'o-tracking', hook: 'broken' } });
+			done();
+		});
+	});
+});
@@ -0,0 +1,75 @@
+/* eslint-env mocha */
+/* global proclaim */
+
+import privacy from '../../src/javascript/core/privacy';
+import settings from '../../src/javascript/core/settings';
+
+describe('Core.Privacy', function () {
+	let request;
+
+	beforeEach(function () {
+		request = {
+			category: 'video',
+			action: 'play',
+			user: { passport_id: '1234', ft_session: 'session' },
+			device: { spoor_id: 'spoor', spoor_session: 'spoor session' }
+		};
+	});
+
+	afterEach(function () {
+		delete navigator.globalPrivacyControl;
+		delete navigator.doNotTrack;
+		settings.destroy('config');
+	});
+
+	it('should send everything without a privacy mode', function () {
+		Object.defineProperty(navigator, 'globalPrivacyControl', { value: true, configurable: true });
+
+		proclaim.isTrue(privacy.apply(request));
+		proclaim.isUndefined(request.system);
+	});
+
+	it('should send everything without a privacy signal', function () {
+		settings.set('config', { privacy: { policy: 'suppress' } });
+
+		proclaim.isTrue(privacy.apply(request));
+		proclaim.isUndefined(request.system);
+	});
+
+	it('should detect Do Not Track and Global Privacy Control', function () {
+		proclaim.isUndefined(privacy.signal(['doNotTrack', 'globalPrivacyControl']));
+
+		Object.defineProperty(navigator, 'doNotTrack', { value: '1', configurable: true });
+		proclaim.equal(privacy.signal(['doNotTrack', 'globalPrivacyControl']), 'doNotTrack');
+		proclaim.isUndefined(privacy.signal(['globalPrivacyControl']));
+
+		Object.defineProperty(navigator, 'globalPrivacyControl', { value: true, configurable: true });
+		proclaim.equal(privacy.signal(['doNotTrack', 'globalPrivacyControl']), 'globalPrivacyControl');
+	});
+
+	it('should suppress events', function () {
+		settings.set('config', { privacy: true });
+		Object.defineProperty(navigator, 'doNotTrack', { value: '1', configurable: true });
+
+		proclaim.isFalse(privacy.apply(request));
+		proclaim.deepEqual(request.system, { privacy: 'suppress', privacy_signal: 'doNotTrack' });
+	});
+
+	it('should anonymise events', function () {
+		settings.set('config', { privacy: { policy: 'anonymise' } });
+		Object.defineProperty(navigator, 'globalPrivacyControl', { value: true, configurable: true });
+
+		proclaim.isTrue(privacy.apply(request));
+		proclaim.isUndefined(request.user);
+		proclaim.deepEqual(request.device, {});
+		proclaim.deepEqual(request.system, { privacy: 'anonymise', privacy_signal: 'globalPrivacyControl' });
+	});
+
+	it('should only send the allowed categories', function () {
+		settings.set('config', { privacy: { policy: 'allowlist', categories: ['page'] } });
+		Object.defineProperty(navigator, 'globalPrivacyControl', { value: true, configurable: true });
+
+		proclaim.isFalse(privacy.apply(request));
+		proclaim.isTrue(privacy.apply({ category: 'page', action: 'view' }));
+	});
+});
@@ -80,6 +80,23 @@ describe('Core.Queue', function () {
 		});
 	});
 
+	describe('take', function () {
+		it('should take several items off the front of the queue', function () {
+			queue.add(['x', 'y']);
+			const pre_take = queue.all();
+			const items = queue.take(2);
+			proclaim.deepEqual(items, pre_take.slice(0, 2));
+			proclaim.deepEqual(queue.all(), pre_take.slice(2));
+		});
+
+		it('should not take more items than there are', function () {
+			const pre_take = queue.all();
+			proclaim.deepEqual(queue.take(10), pre_take);
+			proclaim.equal(queue.all().length, 0);
+			queue.add(pre_take);
+		});
+	});
+
 	describe('saving', function () {
 		it('should persist the queue', function () {
 			proclaim.doesNotThrow(function () {
@@ -98,5 +115,180 @@ describe('Core.Queue', function () {
 		it('should have the correct number of items', function () {
 			proclaim.equal(queue2.all().length, 3);
 		});
+
+		it('should call back once saved, if saved while the stored items are being retrieved', function () {
+			// IndexedDB which fails to open, so the queue falls back to localStorage once it has tried.
+			const indexedDB = Object.getOwnPropertyDescriptor(window, 'indexedDB');
+			Object.defineProperty(window, 'indexedDB', {
+				value: {
+					open: function () {
+						const request = {};
+						setTimeout(function () {
+							request.error = new Error('blocked');
+							request.onerror();
+						}, 0);
+						return request;
+					}
+				},
+				configurable: true
+			});
+
+			const loading = new Queue('queue_loading_test', { storage: 'indexeddb' });
+
+			if (indexedDB) {
+				Object.defineProperty(window, 'indexedDB', indexedDB);
+			} else {
+				delete window.indexedDB;
+			}
+
+			return new Promise(function (resolve) {
+				loading.add('one').save(resolve);
+				proclaim.isTrue(loading.loading);
+			}).then(function () {
+				proclaim.deepEqual(new Queue('queue_loading_test').all(), ['one']);
+				new Queue('queue_loading_test').replace([]).save();
+			});
+		});
+	});
+
+	describe('capacity', function () {
+		const events = ['page:view', 'page:scroll', 'video:play', 'page:scroll'].map(label => {
+			const [category, action] = label.split(':');
+			return { category, action };
+		});
+
+		function createQueue(config) {
+			const capped = new Queue('queue_capacity_test', config);
+			capped.replace([]);
+			capped.clearDropped(capped.dropped());
+			return capped;
+		}
+
+		it('should hold any number of items by default', function () {
+			const unlimited = new Queue(queue_name);
+			unlimited.add(new Array(300).fill('item'));
+			proclaim.equal(unlimited.all().length, 303);
+			proclaim.equal(unlimited.dropped(), null);
+			unlimited.take(300);
+		});
+
+		it('should drop the oldest items by default', function () {
+			const capped = createQueue({ capacity: 2 });
+			capped.add(events);
+			proclaim.deepEqual(capped.all(), events.slice(2));
+			proclaim.deepEqual(capped.dropped(), { total: 2, counts: { 'page:view': 1, 'page:scroll': 1 } });
+		});
+
+		it('should drop the newest items', function () {
+			const capped = createQueue({ capacity: 2, strategy: 'drop-newest' });
+			capped.add(events);
+			proclaim.deepEqual(capped.all(), events.slice(0, 2));
+			proclaim.deepEqual(capped.dropped(), { total: 2, counts: { 'video:play': 1, 'page:scroll': 1 } });
+		});
+
+		it('should drop the lowest priority items', function () {
+			const capped = createQueue({ capacity: 2, strategy: 'priority', priorities: { page: 1, 'page:view': 2, video: 3 } });
+			capped.add(events);
+			proclaim.deepEqual(capped.all(), [events[0], events[2]]);
+			proclaim.deepEqual(capped.dropped(), { total: 2, counts: { 'page:scroll': 2 } });
+		});
+
+		it('should remember dropped counts until they are cleared', function () {
+			const capped = createQueue({ capacity: 1 });
+			capped.add(events.slice(0, 2));
+			const reported = capped.dropped();
+			capped.add(events[2]);
+
+			proclaim.deepEqual(new Queue('queue_capacity_test', { capacity: 1 }).dropped(), { total: 2, counts: { 'page:view': 1, 'page:scroll': 1 } });
+
+			capped.clearDropped(reported);
+			proclaim.deepEqual(capped.dropped(), { total: 1, counts: { 'page:scroll': 1 } });
+
+			capped.clearDropped(capped.dropped());
+			proclaim.equal(capped.dropped(), null);
+		});
+	});
+
+	describe('other tabs', function () {
+		const tab_queue_name = 'queue_tabs_test';
+
+		beforeEach(function () {
+			new Queue(tab_queue_name).replace([]);
+		});
+
+		it('should keep items added by another tab', function () {
+			const tab1 = new Queue(tab_queue_name);
+			const tab2 = new Queue(tab_queue_name);
+
+			tab1.add('one').save();
+			tab2.add('two').save();
+
+			proclaim.deepEqual(tab2.all(), ['one', 'two']);
+			proclaim.deepEqual(new Queue(tab_queue_name).all(), ['one', 'two']);
+		});
+
+		it('should not bring back items taken by another tab', function () {
+			const tab1 = new Queue(tab_queue_name).add(['one', 'two']).save();
+			const tab2 = new Queue(tab_queue_name);
+
+			proclaim.deepEqual(tab1.take(1), ['one']);
+			tab2.add('three').save();
+
+			proclaim.deepEqual(tab2.all(), ['two', 'three']);
+			proclaim.deepEqual(new Queue(tab_queue_name).all(), ['two', 'three']);
+		});
+
+		it('should pick up changes when another tab saves', function () {
+			const tab1 = new Queue(tab_queue_name);
+			const tab2 = new Queue(tab_queue_name);
+			let changed = false;
+
+			tab2.listen(function () {
+				changed = true;
+			});
+			tab1.add('one').save();
+			window.dispatchEvent(new StorageEvent('storage', { key: tab2.storage.storageKey }));
+
+			proclaim.isTrue(changed);
+			proclaim.deepEqual(tab2.all(), ['one']);
+		});
+
+		it('should give items stored before they had ids the same ids in every tab', function () {
+			new Queue(tab_queue_name).storage.write([{ created_at: 1, item: 'one' }]);
+			const tab1 = new Queue(tab_queue_name);
+			const tab2 = new Queue(tab_queue_name);
+
+			tab1.add('two').save();
+			tab2.save();
+
+			proclaim.deepEqual(new Queue(tab_queue_name).all(), ['one', 'two']);
+		});
 	});
+
+	if (window.indexedDB) {
+		describe('indexeddb', function () {
+			it('should add stored items ahead of items added while loading', function () {
+				const stored = new Queue('queue_indexeddb_test', { storage: 'indexeddb' });
+
+				return stored.ready.then(function () {
+					stored.replace(['one', 'two']);
+					return stored.storage.writeAsync(stored.queue);
+				}).then(function () {
+					const loading = new Queue('queue_indexeddb_test', { storage: 'indexeddb' });
+					loading.add('three').save();
+
+					proclaim.deepEqual(loading.all(), ['three']);
+
+					return loading.ready;
+				}).then(function (loaded) {
+					proclaim.deepEqual(loaded.all(), ['one', 'two', 'three']);
+					return loaded.storage.writeAsync(loaded.queue);
+				}).then(function () {
+					return new Queue('queue_indexeddb_test', { storage: 'indexeddb' }).ready;
+				}).then(function (reloaded) {
+					proclaim.deepEqual(reloaded.all(), ['one', 'two', 'three']);
+				});
+			});
+		});
+	}
 });
@@ -0,0 +1,64 @@
+/* eslint-env mocha */
+/* global proclaim */
+
+import sampling from '../../src/javascript/core/sampling';
+import settings from '../../src/javascript/core/settings';
+import murmurhash from '../../src/libs/murmurhash';
+
+describe('Core.Sampling', function () {
+	const request = function (category, action, device) {
+		return { category: category, action: action, context: { id: 'id' }, device: device || { spoor_id: 'device', spoor_session: 'session' } };
+	};
+
+	afterEach(function () {
+		sampling.destroy();
+		settings.destroy('config');
+	});
+
+	it('should send everything without any sampling config', function () {
+		const scroll = request('scroll', 'depth');
+
+		proclaim.isTrue(sampling.sampled(scroll));
+		proclaim.isFalse(sampling.limited(scroll));
+		proclaim.isUndefined(scroll.system);
+	});
+
+	it('should sample devices consistently, recording the rate', function () {
+		const rate = murmurhash('device') / 4294967296;
+
+		settings.set('config', { sampling: { rates: { 'scroll:depth': rate + 0.01 } } });
+		const scroll = request('scroll', 'depth');
+		proclaim.isTrue(sampling.sampled(scroll));
+		proclaim.isTrue(sampling.sampled(request('scroll', 'depth')), 'the device stays in the sample');
+		proclaim.equal(scroll.system.sample_rate, rate + 0.01);
+
+		settings.set('config', { sampling: { rates: { 'scroll:depth': rate - 0.01 } } });
+		proclaim.isFalse(sampling.sampled(request('scroll', 'depth')));
+	});
+
+	it('should use the most specific pattern', function () {
+		settings.set('config', { sampling: { rates: { '*': 0, 'scroll:*': 1, 'scroll:depth': 0 } } });
+
+		proclaim.isFalse(sampling.sampled(request('scroll', 'depth')));
+		proclaim.isTrue(sampling.sampled(request('scroll', 'start')));
+		proclaim.isFalse(sampling.sampled(request('video', 'play')));
+	});
+
+	it('should sample anonymised requests by session', function () {
+		settings.set('config', { sampling: { rates: { '*': 0.5 } } });
+		const anonymous = { spoor_session: 'session' };
+
+		proclaim.equal(sampling.sampled(request('page', 'view', anonymous)), murmurhash('session') / 4294967296 < 0.5);
+	});
+
+	it('should limit the events each session sends', function () {
+		settings.set('config', { sampling: { limits: { 'video:*': 2 } } });
+
+		proclaim.isFalse(sampling.limited(request('video', 'play')));
+		proclaim.isFalse(sampling.limited(request('video', 'progress')));
+		proclaim.isTrue(sampling.limited(request('video', 'progress')));
+		proclaim.isFalse(sampling.limited(request('page', 'view')), 'other events aren\'t limited');
+
+		proclaim.isFalse(sampling.limited(request('video', 'play', { spoor_session: 'new session' })), 'the limit is per session');
+	});
+});
@@ -28,7 +28,12 @@ const request = {
 };
 
 import setup from '../setup';
+import transports from '../../src/javascript/core/transports';
 import settings from '../../src/javascript/core/settings';
+import Store from '../../src/javascript/core/store';
+import delivered from '../../src/javascript/core/delivered';
+import consent from '../../src/javascript/core/consent';
+import { TransportError } from '../../src/javascript/core/errors';
 
 // PhantomJS doesn't always create a "fresh" environment...
 
@@ -36,6 +41,8 @@ describe('Core.Send', function () {
 
 	after(function () {
 		new Queue('requests').replace([]);
+		new Store('requests_lock').destroy();
+		delivered.destroy();
 		settings.destroy('config'); // Empty settings.
 	});
 
@@ -53,15 +60,77 @@ describe('Core.Send', function () {
 
 
 	describe('fallback transports', function () {
+		let fetch;
+
 		before(function () {
 			setup.unmockTransport();
+			fetch = window.fetch;
+			window.fetch = undefined;
 		});
 
 		after(function () {
 			setup.mockTransport();
+			window.fetch = fetch;
 		});
 
-		it('use xhr by default', function (done) {
+		describe('fetch', function () {
+			let request_;
+
+			before(function () {
+				request_ = window.Request;
+				window.Request = function () {
+					this.keepalive = false;
+				};
+			});
+
+			afterEach(function () {
+				window.fetch = undefined;
+			});
+
+			after(function () {
+				window.Request = request_;
+			});
+
+			it('use fetch with keepalive by default', function (done) {
+				new Queue('requests').replace([]);
+				window.fetch = sinon.stub().resolves({ ok: true, status: 204 });
+				Send.init();
+				Send.addAndRun(request);
+				setTimeout(() => {
+					proclaim.ok(window.fetch.calledOnce);
+					const [url, options] = window.fetch.args[0];
+					proclaim.equal(url, 'https://spoor-api.ft.com/px.gif?type=video:seek');
+					proclaim.equal(options.method, 'POST');
+					proclaim.equal(options.credentials, 'include');
+					proclaim.equal(options.keepalive, true);
+					proclaim.equal(options.headers['Content-type'], 'text/plain;charset=UTF-8');
+					proclaim.equal(JSON.parse(options.body).system.transport, 'fetch');
+					proclaim.equal(new Queue('requests').all().length, 0);
+					done();
+				}, 100);
+			});
+
+			it('should re-queue the request if the response status is an error', function (done) {
+				new Queue('requests').replace([]);
+				window.fetch = sinon.stub().resolves({ ok: false, status: 503 });
+				const errors = [];
+				const listener = e => errors.push(e.detail.error);
+				const callback = sinon.spy();
+				window.addEventListener('oErrors.log', listener);
+				Send.init();
+				Send.addAndRun(Object.assign({}, request, { callback: callback }));
+				setTimeout(() => {
+					window.removeEventListener('oErrors.log', listener);
+					proclaim.deepEqual(errors, ['Incorrect response: 503']);
+					proclaim.isInstanceOf(callback.args[0][0], TransportError);
+					proclaim.equal(callback.args[0][0].status, 503);
+					proclaim.equal(new Queue('requests').all().length, 1);
+					done();
+				}, 100);
+			});
+		});
+
+		it('use xhr when fetch is not supported', function (done) {
 			Send.init();
 			navigator.sendBeacon = navigator.sendBeacon || true;
 			const xhr = window.XMLHttpRequest;
@@ -159,7 +228,7 @@ describe('Core.Send', function () {
 			window.Image = sinon.stub().returns(dummyImage);
 			Send.addAndRun(request);
 			setTimeout(() => {
-				proclaim.equal(dummyImage.src, 'https://spoor-api.ft.com/px.gif?type=video:seek&data=%7B%22system%22%3A%7B%22transport%22%3A%22image%22%7D%2C%22id%22%3A%221.199.83760034665465.1432907605043.-56cf00f%22%2C%22meta%22%3A%7B%22page_id%22%3A%22page_id%22%2C%22type%22%3A%22event%22%7D%2C%22user%22%3A%7B%22spoor_session%22%3A%22MS4zMTMuNTYxODY1NTk0MjM4MDQuMTQzMjkwNzYwNTAzNi4tNTZjZjAwZg%3D%3D%22%2C%22spoor_id%22%3A%22value3%22%7D%2C%22device%22%3A%7B%22user_agent%22%3A%22Mozilla%2F5.0%20(Macintosh%3B%20Intel%20Mac%20OS%20X)%20AppleWebKit%2F534.34%20(KHTML%2C%20like%20Gecko)%20PhantomJS%2F1.9.8%20Safari%2F534.34%22%7D%2C%22category%22%3A%22video%22%2C%22action%22%3A%22seek%22%2C%22context%22%3A%7B%22key%22%3A%22pos%22%2C%22value%22%3A%2210%22%2C%22parent_id%22%3A%221.990.74606760405.1432907605040.-56cf00f%22%7D%7D');
+				proclaim.equal(dummyImage.src, 'https://spoor-api.ft.com/px.gif?type=video:seek&data=%7B%22system%22%3A%7B%22transport%22%3A%22image%22%2C%22attempt%22%3A1%7D%2C%22id%22%3A%221.199.83760034665465.1432907605043.-56cf00f%22%2C%22meta%22%3A%7B%22page_id%22%3A%22page_id%22%2C%22type%22%3A%22event%22%7D%2C%22user%22%3A%7B%22spoor_session%22%3A%22MS4zMTMuNTYxODY1NTk0MjM4MDQuMTQzMjkwNzYwNTAzNi4tNTZjZjAwZg%3D%3D%22%2C%22spoor_id%22%3A%22value3%22%7D%2C%22device%22%3A%7B%22user_agent%22%3A%22Mozilla%2F5.0%20(Macintosh%3B%20Intel%20Mac%20OS%20X)%20AppleWebKit%2F534.34%20(KHTML%2C%20like%20Gecko)%20PhantomJS%2F1.9.8%20Safari%2F534.34%22%7D%2C%22category%22%3A%22video%22%2C%22action%22%3A%22seek%22%2C%22context%22%3A%7B%22key%22%3A%22pos%22%2C%22value%22%3A%2210%22%2C%22parent_id%22%3A%221.990.74606760405.1432907605040.-56cf00f%22%7D%7D');
 				proclaim.equal(dummyImage.addEventListener.args[0][0], 'error');
 				proclaim.equal(dummyImage.addEventListener.args[0][1].length, 1);// it will get passed the error
 				proclaim.equal(dummyImage.addEventListener.args[1][0], 'load');
@@ -186,7 +255,7 @@ describe('Core.Send', function () {
 			window.Image = sinon.stub().returns(dummyImage);
 			Send.addAndRun(request);
 			setTimeout(() => {
-				proclaim.equal(dummyImage.src, 'https://spoor-api.ft.com/px.gif?type=video:seek&data=%7B%22system%22%3A%7B%22transport%22%3A%22image%22%7D%2C%22id%22%3A%221.199.83760034665465.1432907605043.-56cf00f%22%2C%22meta%22%3A%7B%22page_id%22%3A%22page_id%22%2C%22type%22%3A%22event%22%7D%2C%22user%22%3A%7B%22spoor_session%22%3A%22MS4zMTMuNTYxODY1NTk0MjM4MDQuMTQzMjkwNzYwNTAzNi4tNTZjZjAwZg%3D%3D%22%2C%22spoor_id%22%3A%22value3%22%7D%2C%22device%22%3A%7B%22user_agent%22%3A%22Mozilla%2F5.0%20(Macintosh%3B%20Intel%20Mac%20OS%20X)%20AppleWebKit%2F534.34%20(KHTML%2C%20like%20Gecko)%20PhantomJS%2F1.9.8%20Safari%2F534.34%22%7D%2C%22category%22%3A%22video%22%2C%22action%22%3A%22seek%22%2C%22context%22%3A%7B%22key%22%3A%22pos%22%2C%22value%22%3A%2210%22%2C%22parent_id%22%3A%221.990.74606760405.1432907605040.-56cf00f%22%7D%7D');
+				proclaim.equal(dummyImage.src, 'https://spoor-api.ft.com/px.gif?type=video:seek&data=%7B%22system%22%3A%7B%22transport%22%3A%22image%22%2C%22attempt%22%3A1%7D%2C%22id%22%3A%221.199.83760034665465.1432907605043.-56cf00f%22%2C%22meta%22%3A%7B%22page_id%22%3A%22page_id%22%2C%22type%22%3A%22event%22%7D%2C%22user%22%3A%7B%22spoor_session%22%3A%22MS4zMTMuNTYxODY1NTk0MjM4MDQuMTQzMjkwNzYwNTAzNi4tNTZjZjAwZg%3D%3D%22%2C%22spoor_id%22%3A%22value3%22%7D%2C%22device%22%3A%7B%22user_agent%22%3A%22Mozilla%2F5.0%20(Macintosh%3B%20Intel%20Mac%20OS%20X)%20AppleWebKit%2F534.34%20(KHTML%2C%20like%20Gecko)%20PhantomJS%2F1.9.8%20Safari%2F534.34%22%7D%2C%22category%22%3A%22video%22%2C%22action%22%3A%22seek%22%2C%22context%22%3A%7B%22key%22%3A%22pos%22%2C%22value%22%3A%2210%22%2C%22parent_id%22%3A%221.990.74606760405.1432907605040.-56cf00f%22%7D%7D');
 				proclaim.equal(dummyImage.attachEvent.args[0][0], 'onerror');
 				proclaim.equal(dummyImage.attachEvent.args[0][1].length, 1);// it will get passed the error
 				proclaim.equal(dummyImage.attachEvent.args[1][0], 'onload');
@@ -198,6 +267,32 @@ describe('Core.Send', function () {
 			}, 100);
 		});
 
+		it('use the configured transport preferences', function (done) {
+			new Queue('requests').replace([]);
+			const sent = [];
+			transports.register('custom', function () {
+				return {
+					name: 'custom',
+					send: function (url, data) {
+						sent.push({ url, data: JSON.parse(data) });
+					},
+					complete: function (callback) {
+						setTimeout(callback, 0);
+					}
+				};
+			});
+			settings.set('config', { transports: ['unknown', 'custom', 'xhr'] });
+			Send.init();
+			Send.addAndRun(request);
+			setTimeout(() => {
+				proclaim.equal(sent.length, 1);
+				proclaim.equal(sent[0].url, 'https://spoor-api.ft.com/px.gif?type=video:seek');
+				proclaim.equal(sent[0].data.system.transport, 'custom');
+				settings.destroy('config');
+				done();
+			}, 100);
+		});
+
 		it('should remember offline lag if a request fails.', function (done) {
 			const server = sinon.fakeServer.create(); // Catch AJAX requests
 
@@ -253,48 +348,667 @@ describe('Core.Send', function () {
 			// Wait for localStorage
 			setTimeout(() => {
 				// console.log((new Queue('requests')).all());
-				proclaim.equal(dummyImage.src, 'https://spoor-api.ft.com/px.gif?type=video:seek&data=%7B%22system%22%3A%7B%22transport%22%3A%22xhr-image%22%7D%2C%22id%22%3A%221.199.83760034665465.1432907605043.-56cf00f%22%2C%22meta%22%3A%7B%22page_id%22%3A%22page_id%22%2C%22type%22%3A%22event%22%7D%2C%22user%22%3A%7B%22spoor_session%22%3A%22MS4zMTMuNTYxODY1NTk0MjM4MDQuMTQzMjkwNzYwNTAzNi4tNTZjZjAwZg%3D%3D%22%2C%22spoor_id%22%3A%22value3%22%7D%2C%22device%22%3A%7B%22user_agent%22%3A%22Mozilla%2F5.0%20(Macintosh%3B%20Intel%20Mac%20OS%20X)%20AppleWebKit%2F534.34%20(KHTML%2C%20like%20Gecko)%20PhantomJS%2F1.9.8%20Safari%2F534.34%22%7D%2C%22category%22%3A%22video%22%2C%22action%22%3A%22seek%22%2C%22context%22%3A%7B%22key%22%3A%22pos%22%2C%22value%22%3A%2210%22%2C%22parent_id%22%3A%221.990.74606760405.1432907605040.-56cf00f%22%7D%7D');
+				proclaim.equal(dummyImage.src, 'https://spoor-api.ft.com/px.gif?type=video:seek&data=%7B%22system%22%3A%7B%22transport%22%3A%22xhr-image%22%2C%22attempt%22%3A1%7D%2C%22id%22%3A%221.199.83760034665465.1432907605043.-56cf00f%22%2C%22meta%22%3A%7B%22page_id%22%3A%22page_id%22%2C%22type%22%3A%22event%22%7D%2C%22user%22%3A%7B%22spoor_session%22%3A%22MS4zMTMuNTYxODY1NTk0MjM4MDQuMTQzMjkwNzYwNTAzNi4tNTZjZjAwZg%3D%3D%22%2C%22spoor_id%22%3A%22value3%22%7D%2C%22device%22%3A%7B%22user_agent%22%3A%22Mozilla%2F5.0%20(Macintosh%3B%20Intel%20Mac%20OS%20X)%20AppleWebKit%2F534.34%20(KHTML%2C%20like%20Gecko)%20PhantomJS%2F1.9.8%20Safari%2F534.34%22%7D%2C%22category%22%3A%22video%22%2C%22action%22%3A%22seek%22%2C%22context%22%3A%7B%22key%22%3A%22pos%22%2C%22value%22%3A%2210%22%2C%22parent_id%22%3A%221.990.74606760405.1432907605040.-56cf00f%22%7D%7D');
 
 				window.Image = i;
+				delete window.MSInputMethodContext;
+				delete document.documentMode;
 				server.restore();
 				done();
 			}, 100);
 		});
 	});
 
-	it('should cope with the huge queue bug', function (done) {
-		const server = sinon.fakeServer.create(); // Catch AJAX requests
-		let queue = new Queue('requests');
+	if (window.indexedDB) {
+		it('should send requests stored in IndexedDB once they have been read', function () {
+			settings.set('config', { storage: 'indexeddb' });
+			const stored = new Queue('requests', { storage: 'indexeddb' });
+
+			return stored.ready.then(function () {
+				stored.replace([Object.assign({ queueTime: new Date().getTime() }, request)]);
+				return stored.storage.writeAsync(stored.queue);
+			}).then(function () {
+				return Send.init().ready;
+			}).then(function (queue) {
+				proclaim.equal(queue.storage.storage._type, 'indexedDB');
+				proclaim.equal(queue.all().length, 0);
+				settings.destroy('config');
+			});
+		});
+	}
 
-		queue.replace([]);
+	describe('retrying', function () {
+		let errors;
+		const listener = e => errors.push(e.detail.error);
 
-		for (let i=0; i<201; i++) {
-			queue.add({});
-		}
+		beforeEach(function () {
+			errors = [];
+			window.addEventListener('oErrors.log', listener);
+			new Queue('requests').replace([]);
+		});
+
+		afterEach(function () {
+			window.removeEventListener('oErrors.log', listener);
+			settings.destroy('config');
+		});
+
+		it('should back off before retrying a failed request', function () {
+			settings.set('config', { retry: { delay: 60000 } });
+			Send.init();
+			setup.errorNextSend();
+			Send.addAndRun(Object.assign({}, request));
+
+			const queued = new Queue('requests').all();
+			proclaim.equal(queued.length, 1);
+			proclaim.equal(queued[0].retry.attempts, 1);
+			proclaim.ok(queued[0].retry.next >= new Date().getTime() + 30000, 'waits at least half the delay');
+			proclaim.ok(queued[0].retry.next <= new Date().getTime() + 60000, 'waits at most the delay');
+
+			// Not due yet, so running the queue shouldn't send it.
+			Send.run();
+			proclaim.equal(new Queue('requests').all().length, 1);
+		});
+
+		it('should send a request once its retry is due', function () {
+			new Queue('requests').replace([Object.assign({}, request, {
+				queueTime: new Date().getTime(),
+				retry: { attempts: 1, next: new Date().getTime() - 1 }
+			})]);
+			Send.init();
+
+			proclaim.equal(new Queue('requests').all().length, 0);
+		});
+
+		it('should drop a request after the maximum attempts', function () {
+			settings.set('config', { retry: { maxAttempts: 2 } });
+			new Queue('requests').replace([Object.assign({}, request, {
+				queueTime: new Date().getTime(),
+				retry: { attempts: 1, next: 0 }
+			})]);
+			setup.errorNextSend();
+			Send.init();
+
+			proclaim.equal(new Queue('requests').all().length, 0);
+			proclaim.deepEqual(errors, ['mock error', 'Dropped video:seek event after 2 failed attempts']);
+		});
+
+		it('should drop requests which are too old to send', function () {
+			settings.set('config', { retry: { maxAge: 1000 } });
+			new Queue('requests').replace([Object.assign({}, request, {
+				queueTime: new Date().getTime() - 2000
+			})]);
+			Send.init();
+
+			proclaim.equal(new Queue('requests').all().length, 0);
+			proclaim.deepEqual(errors, ['Dropped video:seek event as it is too old']);
+		});
+	});
+
+	describe('deduplication', function () {
+		let sent;
+		let failNext;
+
+		before(function () {
+			setup.mockTransport(function () {
+				return {
+					name: 'mock',
+					send: function (url, data) {
+						sent.push(JSON.parse(data));
+					},
+					complete: function (callback) {
+						const error = failNext ? new Error('mock error') : undefined;
+						failNext = false;
+						callback(error);
+					}
+				};
+			});
+		});
+
+		beforeEach(function () {
+			sent = [];
+			failNext = false;
+			new Queue('requests').replace([]);
+			Send.init();
+			delivered.destroy();
+		});
+
+		after(function () {
+			setup.mockTransport();
+		});
+
+		it('should not send a request which has already been delivered', function () {
+			const callback = sinon.spy();
+			const context = { id: 'duplicate' };
+
+			Send.addAndRun(Object.assign({}, request, { context: context }));
+			Send.addAndRun(Object.assign({}, request, { context: context, callback: callback }));
+
+			proclaim.equal(sent.length, 1);
+			proclaim.isTrue(callback.called, 'the callback is still fired');
+		});
+
+		it('should number each attempt at sending a request', function () {
+			new Queue('requests').replace([Object.assign({}, request, {
+				context: { id: 'retried' },
+				queueTime: new Date().getTime(),
+				retry: { attempts: 1, next: 0 }
+			})]);
+			failNext = true;
+			Send.init();
+
+			const queued = new Queue('requests').all()[0];
+			queued.retry.next = 0;
+			new Queue('requests').replace([queued]);
+			Send.init();
+
+			proclaim.deepEqual(sent.map(item => item.system.attempt), [2, 3]);
+			proclaim.equal(new Queue('requests').all().length, 0);
+		});
+	});
+
+	describe('consent', function () {
+		let sent;
+
+		before(function () {
+			setup.mockTransport(function () {
+				return {
+					name: 'mock',
+					send: function (url, data) {
+						sent.push(JSON.parse(data));
+					},
+					complete: function (callback) {
+						callback();
+					}
+				};
+			});
+		});
+
+		beforeEach(function () {
+			sent = [];
+			new Queue('requests').replace([]);
+			delivered.destroy();
+		});
+
+		afterEach(function () {
+			consent.destroy();
+		});
+
+		after(function () {
+			setup.mockTransport();
+		});
+
+		it('should hold requests in memory while consent is pending', function () {
+			consent.init({ state: 'pending' });
+			Send.init();
+			Send.addAndRun(Object.assign({}, request, { context: { id: 'held' } }));
+
+			proclaim.equal(sent.length, 0);
+			proclaim.equal(new Queue('requests').all().length, 0, 'nothing is stored');
+
+			consent.update({ state: 'granted' });
+			Send.release();
+
+			proclaim.deepEqual(sent.map(item => item.context.id), ['held']);
+		});
+
+		it('should drop requests once consent is denied', function () {
+			const callback = sinon.spy();
+			consent.init({ state: 'pending' });
+			Send.init();
+			Send.addAndRun(Object.assign({}, request, { context: { id: 'held' }, callback: callback }));
+
+			consent.update({ state: 'denied' });
+			Send.clear();
+			Send.addAndRun(Object.assign({}, request, { context: { id: 'refused' }, callback: callback }));
+			consent.update({ state: 'granted' });
+			Send.run();
+
+			proclaim.equal(sent.length, 0);
+			proclaim.equal(callback.callCount, 2);
+			proclaim.equal(callback.firstCall.args[0].name, 'ConsentError');
+			proclaim.equal(callback.secondCall.args[0].name, 'ConsentError');
+		});
+	});
+
+	describe('flushing', function () {
+		let sent;
+
+		const mock = function () {
+			return {
+				name: 'mock',
+				send: function (url, data) {
+					sent.push(JSON.parse(data));
+				},
+				complete: function (callback) {
+					setTimeout(callback, 0);
+				}
+			};
+		};
+
+		let sendBeacon;
+
+		beforeEach(function () {
+			sent = [];
+			sendBeacon = navigator.sendBeacon;
+			setup.mockTransport(mock);
+			new Queue('requests').replace([]);
+		});
+
+		afterEach(function () {
+			navigator.sendBeacon = sendBeacon;
+		});
+
+		after(function () {
+			setup.mockTransport();
+			settings.destroy('config');
+		});
+
+		it('should send everything queued, except requests waiting to be retried', function (done) {
+			// The image transport can't send batches.
+			navigator.sendBeacon = sinon.stub().returns(true);
+			settings.set('config', { batch: { size: 3, timeout: 60000 }, useSendBeacon: true });
+			new Queue('requests').add([
+				Object.assign({}, request, { action: 'one', queueTime: new Date().getTime(), retry: { attempts: 1, next: new Date().getTime() + 60000 } }),
+				Object.assign({}, request, { action: 'two', queueTime: new Date().getTime() }),
+				Object.assign({}, request, { action: 'three', queueTime: new Date().getTime() })
+			]).save();
+			Send.init();
+
+			proclaim.equal(sent.length, 0, 'waits for the batch to fill, as only two requests can be sent now');
+
+			Send.flush(function () {
+				proclaim.deepEqual(sent.map(batch => batch.map(item => item.action)), [['two', 'three']]);
+				proclaim.deepEqual(new Queue('requests').all().map(item => item.action), ['one']);
+				done();
+			});
+		});
+
+		it('should send requests waiting to be retried when the page is being unloaded', function (done) {
+			navigator.sendBeacon = sinon.stub().returns(true);
+			settings.set('config', { batch: { size: 2, timeout: 60000 }, useSendBeacon: true });
+			new Queue('requests').add([
+				Object.assign({}, request, { action: 'one', queueTime: new Date().getTime(), retry: { attempts: 1, next: new Date().getTime() + 60000 } }),
+				Object.assign({}, request, { action: 'two', queueTime: new Date().getTime() })
+			]).save();
+			Send.init();
+
+			Send.flush(function () {
+				proclaim.deepEqual(sent.map(batch => batch.map(item => item.action)), [['one', 'two']]);
+				proclaim.equal(new Queue('requests').all().length, 0);
+				done();
+			}, true);
+		});
+
+		it('should use sendBeacon, which keeps going once the page has gone, if it is preferred', function () {
+			navigator.sendBeacon = sinon.stub().returns(true);
+			setup.unmockTransport();
+			settings.set('config', { useSendBeacon: true });
+			new Queue('requests').add(Object.assign({}, request, { queueTime: new Date().getTime() })).save();
+			Send.init();
+
+			return new Promise(function (resolve) {
+				Send.flush(resolve);
+			}).then(function () {
+				proclaim.isTrue(navigator.sendBeacon.calledOnce);
+				proclaim.equal(JSON.parse(navigator.sendBeacon.args[0][1]).system.transport, 'sendBeacon');
+			});
+		});
+
+		it('should use a registered transport which keeps going once the page has gone', function () {
+			const edge = sinon.spy(mock);
+			edge.survivesUnload = true;
+			transports.register('edge', edge);
+			setup.unmockTransport();
+			settings.set('config', { transports: ['edge', 'sendBeacon'] });
+			new Queue('requests').add(Object.assign({}, request, { queueTime: new Date().getTime() })).save();
+			Send.init();
+
+			return new Promise(function (resolve) {
+				Send.flush(resolve);
+			}).then(function () {
+				proclaim.isTrue(edge.called);
+				proclaim.equal(sent[0].system.transport, 'mock');
+			});
+		});
+
+		it('should use the preferred transport if none keep going once the page has gone', function () {
+			settings.set('config', { transports: ['xhr'] });
+			new Queue('requests').add(Object.assign({}, request, { queueTime: new Date().getTime() })).save();
+			Send.init();
+
+			return new Promise(function (resolve) {
+				Send.flush(resolve);
+			}).then(function () {
+				proclaim.equal(sent.length, 1);
+			});
+		});
+
+		it('should send events tracked once the page has been hidden straight away', function (done) {
+			const visibilityState = Object.getOwnPropertyDescriptor(document, 'visibilityState');
+			settings.set('config', { batch: { size: 10, timeout: 60000 } });
+			Send.init();
+			Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+			Send.add(Object.assign({}, request));
+
+			if (visibilityState) {
+				Object.defineProperty(document, 'visibilityState', visibilityState);
+			} else {
+				delete document.visibilityState;
+			}
+
+			setTimeout(() => {
+				proclaim.equal(sent.length, 1);
+				proclaim.equal(new Queue('requests').all().length, 0);
+				done();
+			}, 20);
+		});
+
+		it('should flush when the page is hidden', function (done) {
+			const visibilityState = Object.getOwnPropertyDescriptor(document, 'visibilityState');
+			Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+			settings.set('config', { batch: { size: 10, timeout: 60000 } });
+			Send.init();
+			Send.addAndRun(Object.assign({}, request));
+
+			document.dispatchEvent(new Event('visibilitychange'));
+
+			if (visibilityState) {
+				Object.defineProperty(document, 'visibilityState', visibilityState);
+			} else {
+				delete document.visibilityState;
+			}
+
+			setTimeout(() => {
+				proclaim.equal(sent.length, 1);
+				proclaim.equal(new Queue('requests').all().length, 0);
+				done();
+			}, 20);
+		});
+
+		it('should flush when the page is unloaded', function (done) {
+			settings.set('config', { batch: { size: 10, timeout: 60000 } });
+			Send.init();
+			Send.addAndRun(Object.assign({}, request));
+
+			window.dispatchEvent(new Event('pagehide'));
+
+			setTimeout(() => {
+				proclaim.equal(sent.length, 1);
+				done();
+			}, 20);
+		});
+	});
+
+	describe('batching', function () {
+		let sent;
+
+		before(function () {
+			sent = [];
+			setup.mockTransport(function () {
+				return {
+					name: 'mock',
+					send: function (url, data) {
+						sent.push({ url, data: JSON.parse(data) });
+					},
+					complete: function (callback) {
+						setTimeout(callback, 0);
+					}
+				};
+			});
+		});
+
+		beforeEach(function () {
+			sent = [];
+			new Queue('requests').replace([]);
+		});
+
+		after(function () {
+			setup.mockTransport();
+			settings.destroy('config');
+		});
+
+		it('should send a full batch as a single array', function (done) {
+			settings.set('config', { batch: { size: 3, timeout: 5000 } });
+			Send.init();
+			Send.addAndRun(Object.assign({}, request, { action: 'one' }));
+			Send.addAndRun(Object.assign({}, request, { action: 'two' }));
+
+			proclaim.equal(sent.length, 0, 'waits for the batch to fill');
+
+			Send.addAndRun(Object.assign({}, request, { action: 'three' }));
+
+			setTimeout(() => {
+				proclaim.equal(sent.length, 1);
+				proclaim.equal(sent[0].url, 'https://spoor-api.ft.com/px.gif');
+				proclaim.deepEqual(sent[0].data.map(item => item.action), ['one', 'two', 'three']);
+				proclaim.equal(sent[0].data[0].system.transport, 'mock');
+				proclaim.isUndefined(sent[0].data[0].queueTime);
+				proclaim.isUndefined(sent[0].data[0].callback);
+				done();
+			}, 50);
+		});
+
+		it('should send a partial batch after the timeout', function (done) {
+			settings.set('config', { batch: { size: 10, timeout: 20 } });
+			Send.init();
+			Send.addAndRun(Object.assign({}, request, { action: 'one' }));
+			Send.addAndRun(Object.assign({}, request, { action: 'two' }));
+
+			proclaim.equal(sent.length, 0);
+
+			setTimeout(() => {
+				proclaim.equal(sent.length, 1);
+				proclaim.deepEqual(sent[0].data.map(item => item.action), ['one', 'two']);
+				proclaim.equal(new Queue('requests').all().length, 0);
+				done();
+			}, 100);
+		});
+
+		it('should only say a request is waiting to be sent once it is stored if it is not sent now', function () {
+			const waiting = sinon.spy();
+			const filled = sinon.spy();
+			settings.set('config', { batch: { size: 2, timeout: 5000 } });
+			Send.init();
+			Send.addAndRun(Object.assign({}, request, { action: 'one' }), waiting);
+
+			proclaim.isTrue(waiting.calledOnce, 'waits for the batch to fill');
+
+			Send.addAndRun(Object.assign({}, request, { action: 'two' }), filled);
+
+			proclaim.isFalse(filled.called, 'fills the batch, so is sent now');
+			proclaim.equal(sent.length, 1);
+		});
+
+		it('should send a lone request on its own', function (done) {
+			settings.set('config', { batch: { size: 10, timeout: 20 } });
+			Send.init();
+			Send.addAndRun(request);
 
-		queue.save();
+			setTimeout(() => {
+				proclaim.equal(sent.length, 1);
+				proclaim.equal(sent[0].url, 'https://spoor-api.ft.com/px.gif?type=video:seek');
+				proclaim.equal(sent[0].data.action, 'seek');
+				done();
+			}, 100);
+		});
+	});
+
+	describe('queue capacity', function () {
+		let sent;
+		let failing;
+
+		before(function () {
+			setup.mockTransport(function () {
+				return {
+					name: 'mock',
+					send: function (url, data) {
+						sent.push(JSON.parse(data));
+					},
+					complete: function (callback) {
+						setTimeout(() => {
+							if (failing) {
+								failing = false;
+								return callback(new Error('mock error'));
+							}
+							callback();
+						}, 0);
+					}
+				};
+			});
+		});
 
-		// console.log(queue.all().length);
+		beforeEach(function () {
+			sent = [];
+			failing = false;
+			new Queue('requests').replace([]);
+		});
 
-		server.respondWith([200, { "Content-Type": "plain/text", "Content-Length": 2 }, "OK"]);
+		after(function () {
+			setup.mockTransport();
+			settings.destroy('config');
+		});
+
+		// Wait for everything queued to be taken to send, however long the sends, one after another, take.
+		const drained = callback => {
+			if (new Queue('requests').all().length === 0) {
+				return callback();
+			}
+			setTimeout(() => drained(callback), 10);
+		};
 
-		// Run the queue
-		Send.init();
+		it('should drop the oldest events when the queue is full', function (done) {
+			this.timeout(10000);
+			const queue = new Queue('requests');
+			queue.replace([]);
 
-		server.respond();
+			for (let i = 0; i < 201; i++) {
+				queue.add(Object.assign({}, request, { action: 'action' + i }));
+			}
 
-		// Wait for localStorage
-		setTimeout(() => {
-			// Refresh our queue as it's kept in memory
-			queue = new Queue('requests');
+			queue.save();
+
+			// Run the queue
+			Send.init();
 
-			// Event added for the debugging info
-			proclaim.equal(queue.all().length, 0);
+			drained(() => {
+				proclaim.equal(sent.length, 200);
+				proclaim.equal(sent[0].action, 'action1');
+				proclaim.equal(sent[199].action, 'action200');
+				done();
+			});
+		});
+
+		it('should report the dropped events in the next request', function (done) {
+			new Queue('requests', { capacity: 1 }).add([
+				Object.assign({}, request, { action: 'one' }),
+				Object.assign({}, request, { action: 'two' }),
+				Object.assign({}, request, { action: 'three' })
+			]).save();
+
+			Send.init();
+
+			setTimeout(() => {
+				proclaim.equal(sent.length, 1);
+				proclaim.equal(sent[0].action, 'three');
+				proclaim.deepEqual(sent[0].system.dropped, { total: 2, counts: { 'video:one': 1, 'video:two': 1 } });
+
+				Send.addAndRun(request);
+
+				setTimeout(() => {
+					proclaim.equal(sent.length, 2);
+					proclaim.isUndefined(sent[1].system.dropped, 'counts are only reported once');
+					done();
+				}, 50);
+			}, 50);
+		});
+
+		it('should not report the dropped events again when retrying a request which reported them', function (done) {
+			settings.set('config', { retry: { delay: 100 } });
+			new Queue('requests', { capacity: 1 }).add([
+				Object.assign({}, request, { action: 'one' }),
+				Object.assign({}, request, { action: 'two' })
+			]).save();
+			failing = true;
+
+			Send.init();
 
-			// console.log(queue.all());
-			server.restore();
-			done();
-		}, 200);
+			setTimeout(() => {
+				// The send failed, so the counts are reported by the next request instead.
+				proclaim.equal(sent.length, 1);
+				proclaim.deepEqual(sent[0].system.dropped, { total: 1, counts: { 'video:one': 1 } });
+
+				Send.addAndRun(Object.assign({}, request, { action: 'three' }));
+
+				setTimeout(() => {
+					proclaim.equal(sent.length, 3);
+					proclaim.equal(sent[1].action, 'three');
+					proclaim.deepEqual(sent[1].system.dropped, { total: 1, counts: { 'video:one': 1 } });
+					proclaim.equal(sent[2].action, 'two');
+					proclaim.equal(sent[2].system.attempt, 2);
+					proclaim.isUndefined(sent[2].system.dropped, 'counts are only reported once');
+					settings.destroy('config');
+					done();
+				}, 200);
+			}, 50);
+		});
+
+		it('should use the configured capacity and strategy', function (done) {
+			settings.set('config', { queue: { capacity: 2, strategy: 'drop-newest' } });
+			new Queue('requests').add([
+				Object.assign({}, request, { action: 'one' }),
+				Object.assign({}, request, { action: 'two' }),
+				Object.assign({}, request, { action: 'three' })
+			]).save();
+
+			Send.init();
+
+			setTimeout(() => {
+				proclaim.deepEqual(sent.map(item => item.action), ['one', 'two']);
+				proclaim.deepEqual(sent[0].system.dropped, { total: 1, counts: { 'video:three': 1 } });
+				done();
+			}, 50);
+		});
 	});
 
+	describe('other tabs', function () {
+		const lease = new Store('requests_lock');
+
+		beforeEach(function () {
+			new Queue('requests').replace([]);
+			lease.destroy();
+		});
+
+		it('should leave queued requests for the tab which has the lock', function () {
+			const callback = sinon.spy();
+			lease.write({ owner: 'another tab', expires: new Date().getTime() + 5000 });
+
+			Send.init();
+			Send.addAndRun(Object.assign({}, request, { callback: callback }));
+
+			proclaim.isFalse(callback.called);
+			proclaim.equal(new Queue('requests').all().length, 1);
+
+			lease.destroy();
+			Send.run();
+
+			proclaim.isTrue(callback.called);
+			proclaim.equal(new Queue('requests').all().length, 0);
+		});
+
+		it('should release the lock once the queue is empty', function () {
+			Send.init();
+			Send.addAndRun(Object.assign({}, request));
+
+			proclaim.isNull(new Store('requests_lock').read());
+		});
+
+		it('should send requests queued by another tab', function () {
+			Send.init();
+
+			new Queue('requests').add(Object.assign({}, request, { queueTime: new Date().getTime() })).save();
+			window.dispatchEvent(new StorageEvent('storage', { key: 'o-tracking_requests' }));
+
+			proclaim.equal(new Queue('requests').all().length, 0);
+		});
+	});
 });
@@ -47,4 +47,158 @@ describe('Core.Store', function () {
 		});
 	});
 
+	if (window.indexedDB) {
+		describe('indexeddb', function () {
+			it('can use IndexedDB for storage', function () {
+				proclaim.equal(new Store('test-indexeddb', { storage: 'indexeddb' }).storage._type, 'indexedDB');
+			});
+
+			it('should write and read values asynchronously', function () {
+				return new Store('test-indexeddb', { storage: 'indexeddb' }).writeAsync(['one', 'two']).then(function () {
+					return new Store('test-indexeddb', { storage: 'indexeddb' }).readAsync();
+				}).then(function (data) {
+					proclaim.deepEqual(data, ['one', 'two']);
+				});
+			});
+
+			it('should save the latest of several writes', function () {
+				const store = new Store('test-indexeddb', { storage: 'indexeddb' });
+				store.write('one');
+				store.write('two');
+
+				return store.writeAsync('three').then(function () {
+					return new Store('test-indexeddb', { storage: 'indexeddb' }).readAsync();
+				}).then(function (data) {
+					proclaim.equal(data, 'three');
+				});
+			});
+
+			it('should store the data as it is, rather than as JSON, without functions', function () {
+				const data = { items: [{ id: 'one', callback: function () {} }] };
+
+				return new Store('test-indexeddb', { storage: 'indexeddb' }).writeAsync(data).then(function () {
+					return new Promise(function (resolve, reject) {
+						const request = window.indexedDB.open('o-tracking', 1);
+						request.onerror = reject;
+						request.onsuccess = function () {
+							const get = request.result.transaction('store', 'readonly').objectStore('store').get('o-tracking_test-indexeddb');
+							get.onerror = reject;
+							get.onsuccess = function () {
+								request.result.close();
+								resolve(get.result);
+							};
+						};
+					});
+				}).then(function (stored) {
+					proclaim.deepEqual(stored, { items: [{ id: 'one' }] });
+				});
+			});
+
+			it('should delete the data', function () {
+				const store = new Store('test-indexeddb', { storage: 'indexeddb' });
+
+				return store.destroy().writeAsync(null).then(function () {
+					return new Store('test-indexeddb', { storage: 'indexeddb' }).readAsync();
+				}).then(function (data) {
+					proclaim.equal(data, null);
+				});
+			});
+		});
+	}
+
+	describe('async interface', function () {
+		it('should work with synchronous storage too', function () {
+			const sync_store = new Store('test');
+
+			return sync_store.writeAsync('ASYNC').then(function () {
+				return sync_store.readAsync();
+			}).then(function (data) {
+				proclaim.equal(data, 'ASYNC');
+				proclaim.equal(new Store('test').read(), 'ASYNC');
+			});
+		});
+
+		it('should fall back to synchronous storage if IndexedDB fails to open', function () {
+			const indexedDB = Object.getOwnPropertyDescriptor(window, 'indexedDB');
+			const blocked = {
+				open: function () {
+					const request = {};
+					setTimeout(function () {
+						request.error = new Error('blocked');
+						request.onerror();
+					}, 0);
+					return request;
+				}
+			};
+			Object.defineProperty(window, 'indexedDB', { value: blocked, configurable: true });
+
+			const store = new Store('test-blocked', { storage: 'indexeddb' });
+
+			if (indexedDB) {
+				Object.defineProperty(window, 'indexedDB', indexedDB);
+			} else {
+				delete window.indexedDB;
+			}
+
+			return store.writeAsync(['one', 'two']).then(function () {
+				proclaim.equal(store.storage._type, 'localStorage');
+				proclaim.deepEqual(new Store('test-blocked').read(), ['one', 'two']);
+				new Store('test-blocked').destroy();
+			});
+		});
+
+		it('should fall back to synchronous storage if an IndexedDB transaction is aborted', function () {
+			const indexedDB = Object.getOwnPropertyDescriptor(window, 'indexedDB');
+			const aborting = {
+				open: function () {
+					const request = {};
+					setTimeout(function () {
+						request.result = {
+							transaction: function () {
+								const transaction = {
+									objectStore: function () {
+										return { get: function () {
+											return {};
+										} };
+									}
+								};
+								setTimeout(function () {
+									transaction.onabort();
+								}, 0);
+								return transaction;
+							}
+						};
+						request.onsuccess();
+					}, 0);
+					return request;
+				}
+			};
+			Object.defineProperty(window, 'indexedDB', { value: aborting, configurable: true });
+
+			const store = new Store('test-aborted', { storage: 'indexeddb' });
+
+			if (indexedDB) {
+				Object.defineProperty(window, 'indexedDB', indexedDB);
+			} else {
+				delete window.indexedDB;
+			}
+
+			return store.readAsync().then(function () {
+				proclaim.equal(store.storage._type, 'localStorage');
+			});
+		});
+
+		it('should fall back to synchronous storage without IndexedDB', function () {
+			const indexedDB = Object.getOwnPropertyDescriptor(window, 'indexedDB');
+			Object.defineProperty(window, 'indexedDB', { value: undefined, configurable: true });
+
+			proclaim.equal(new Store('test', { storage: 'indexeddb' }).storage._type, 'localStorage');
+
+			if (indexedDB) {
+				Object.defineProperty(window, 'indexedDB', indexedDB);
+			} else {
+				delete window.indexedDB;
+			}
+		});
+	});
 });
@@ -0,0 +1,211 @@
+/* eslint-env mocha */
+/* global proclaim sinon */
+
+import transports from '../../src/javascript/core/transports';
+
+describe('Core.Transports', function () {
+
+	function custom() {
+		return {
+			name: 'custom',
+			// eslint-disable-next-line no-empty-function
+			send: function () {},
+			// eslint-disable-next-line no-empty-function
+			complete: function () {}
+		};
+	}
+
+	describe('register', function () {
+		it('should require a name and a factory', function () {
+			proclaim.throws(function () {
+				transports.register('custom');
+			}, /A transport must have a name and a factory function/);
+		});
+
+		it('should register a transport', function () {
+			transports.register('custom', custom);
+			proclaim.equal(transports.choose(['custom']), 'custom');
+		});
+	});
+
+	describe('choose', function () {
+		it('should choose the first transport in the list', function () {
+			proclaim.equal(transports.choose(['custom', 'image']), 'custom');
+			proclaim.equal(transports.choose(['image', 'custom']), 'image');
+		});
+
+		it('should skip unknown transports', function () {
+			proclaim.equal(transports.choose(['unknown', 'custom']), 'custom');
+		});
+
+		it('should skip unsupported transports', function () {
+			function unsupported() {
+				return custom();
+			}
+			unsupported.isSupported = function () {
+				return false;
+			};
+			transports.register('unsupported', unsupported);
+
+			proclaim.equal(transports.choose(['unsupported', 'custom']), 'custom');
+		});
+
+		it('should fall back to image', function () {
+			proclaim.equal(transports.choose(['unknown']), 'image');
+			proclaim.equal(transports.choose([]), 'image');
+		});
+	});
+
+	describe('fetch', function () {
+		let fetch;
+
+		beforeEach(function () {
+			fetch = window.fetch;
+		});
+
+		afterEach(function () {
+			window.fetch = fetch;
+		});
+
+		it('should send the data with keepalive, as a simple request which needs no preflight', function (done) {
+			window.fetch = sinon.stub().resolves({ ok: true, status: 204 });
+			const transport = transports.fetch();
+
+			transport.complete(function (error) {
+				const options = window.fetch.args[0][1];
+				proclaim.isUndefined(error);
+				proclaim.equal(window.fetch.args[0][0], 'https://spoor-api.ft.com/px.gif');
+				proclaim.equal(options.method, 'POST');
+				proclaim.equal(options.body, '{}');
+				proclaim.isTrue(options.keepalive);
+				proclaim.equal(options.headers['Content-type'], 'text/plain;charset=UTF-8');
+				done();
+			});
+			transport.send('https://spoor-api.ft.com/px.gif', '{}');
+		});
+
+		it('should not use keepalive for data which is too large for it', function (done) {
+			window.fetch = sinon.stub().resolves({ ok: true, status: 204 });
+			const transport = transports.fetch();
+
+			transport.complete(function () {
+				proclaim.isFalse(window.fetch.args[0][1].keepalive);
+				done();
+			});
+			transport.send('https://spoor-api.ft.com/px.gif', new Array(64001).join('a'));
+		});
+
+		it('should measure the data in bytes rather than characters', function (done) {
+			window.fetch = sinon.stub().resolves({ ok: true, status: 204 });
+			const transport = transports.fetch();
+
+			transport.complete(function () {
+				proclaim.isFalse(window.fetch.args[0][1].keepalive, '40000 characters which take 80000 bytes');
+				done();
+			});
+			transport.send('https://spoor-api.ft.com/px.gif', new Array(40001).join('é'));
+		});
+
+		it('should keep the total of the keepalive requests in flight under the limit', function () {
+			let respond;
+			window.fetch = sinon.stub();
+			window.fetch.onFirstCall().returns(new Promise(resolve => {
+				respond = resolve;
+			}));
+			window.fetch.resolves({ ok: true, status: 204 });
+			const data = new Array(40001).join('a');
+			const first = transports.fetch();
+			const second = transports.fetch();
+			const third = transports.fetch();
+
+			first.send('https://spoor-api.ft.com/px.gif', data);
+			second.send('https://spoor-api.ft.com/px.gif', data);
+
+			proclaim.isTrue(window.fetch.args[0][1].keepalive);
+			proclaim.isFalse(window.fetch.args[1][1].keepalive, 'the first is still in flight');
+
+			respond({ ok: true, status: 204 });
+
+			return new Promise(resolve => first.complete(resolve)).then(function () {
+				third.send('https://spoor-api.ft.com/px.gif', data);
+				proclaim.isTrue(window.fetch.args[2][1].keepalive, 'the first has finished');
+			});
+		});
+
+		it('should fail with an error with the status of an unsuccessful response', function (done) {
+			window.fetch = sinon.stub().resolves({ ok: false, status: 503 });
+			const transport = transports.fetch();
+
+			transport.complete(function (error) {
+				proclaim.isInstanceOf(error, Error);
+				proclaim.equal(error.message, 'Incorrect response: 503');
+				proclaim.equal(error.status, 503);
+				done();
+			});
+			transport.send('https://spoor-api.ft.com/px.gif', '{}');
+		});
+
+		it('should fail with the error if the request couldn\'t be made', function (done) {
+			const failure = new TypeError('Failed to fetch');
+			window.fetch = sinon.stub().rejects(failure);
+			const transport = transports.fetch();
+
+			transport.complete(function (error) {
+				proclaim.strictEqual(error, failure);
+				done();
+			});
+			transport.send('https://spoor-api.ft.com/px.gif', '{}');
+		});
+	});
+
+	describe('xhr', function () {
+		let XMLHttpRequest;
+		let dummyXHR;
+
+		beforeEach(function () {
+			XMLHttpRequest = window.XMLHttpRequest;
+			dummyXHR = {
+				// eslint-disable-next-line no-empty-function
+				open: function () {},
+				// eslint-disable-next-line no-empty-function
+				setRequestHeader: function () {},
+				// eslint-disable-next-line no-empty-function
+				send: function () {}
+			};
+			window.XMLHttpRequest = function () {
+				return dummyXHR;
+			};
+		});
+
+		afterEach(function () {
+			window.XMLHttpRequest = XMLHttpRequest;
+		});
+
+		it('should fail with an error with the status of an unsuccessful response', function (done) {
+			const transport = transports.xhr();
+
+			transport.complete(function (error) {
+				proclaim.isInstanceOf(error, Error);
+				proclaim.equal(error.message, 'Incorrect response: 500');
+				proclaim.equal(error.status, 500);
+				done();
+			});
+			transport.send('https://spoor-api.ft.com/px.gif', '{}');
+			dummyXHR.status = 500;
+			dummyXHR.onload();
+		});
+
+		it('should fail with an error if the request couldn\'t be made', function (done) {
+			const transport = transports.xhr();
+
+			transport.complete(function (error) {
+				proclaim.isInstanceOf(error, Error);
+				proclaim.equal(error.message, 'Network error');
+				done();
+			});
+			transport.send('https://spoor-api.ft.com/px.gif', '{}');
+			dummyXHR.status = 0;
+			dummyXHR.onerror();
+		});
+	});
+});
@@ -0,0 +1,149 @@
+/* eslint-env mocha */
+/* global proclaim */
+
+import validate from '../../src/javascript/core/validate';
+import settings from '../../src/javascript/core/settings';
+import { ValidationError } from '../../src/javascript/core/errors';
+
+describe('Core.Validate', function () {
+	const pageView = function (context) {
+		return { category: 'page', action: 'view', context: context, async: true };
+	};
+
+	beforeEach(function () {
+		settings.set('config', { validation: { builtIn: true } });
+	});
+
+	afterEach(function () {
+		settings.destroy('config');
+		settings.destroy('developer');
+	});
+
+	it('should only use the built-in schemas if asked to', function () {
+		settings.set('config', { validation: {} });
+		proclaim.deepEqual(validate(pageView({ url: 'https://www.ft.com/' })), []);
+
+		settings.destroy('config');
+		const request = { category: 'text', action: 'copy', context: { characters: 5 } };
+		proclaim.deepEqual(validate(request), []);
+		proclaim.isUndefined(request.system);
+	});
+
+	it('should pass valid events', function () {
+		const request = pageView({ product: 'next', url: 'https://www.ft.com/', content: { asset_type: 'page' } });
+
+		proclaim.deepEqual(validate(request), []);
+		proclaim.isUndefined(request.system);
+	});
+
+	describe('comment events', function () {
+		const comment = function (action, context) {
+			return { category: 'comment', action: action, context: context };
+		};
+		const details = {
+			comment_ID: 'c1',
+			thread_ID: 't1',
+			is_reply: 0,
+			commentor_name: 'reader',
+			character_count: 120,
+			comment_depth: 3,
+			thread_depth: 1
+		};
+
+		it('should have a schema for each documented comment event', function () {
+			['post', 'delete', 'ban', 'bozo', 'feature', 'recommend', 'unrecommend', 'share', 'report_start',
+				'report_submission', 'follow', 'unfollow', 'settings', 'show', 'sort'].forEach(function (action) {
+				proclaim.notEqual(validate(comment(action, {})).length, 0, `comment:${action} is checked`);
+			});
+		});
+
+		it('should pass valid comment events', function () {
+			const post = comment('post', Object.assign({ action_type: 'reply', is_success: true, is_followed: 1 }, details));
+
+			proclaim.deepEqual(validate(post), []);
+			proclaim.deepEqual(validate(comment('recommend', Object.assign({ action_type: 'recommend' }, details))), []);
+			proclaim.deepEqual(validate(comment('report_submission', Object.assign({ action_type: 'spam', is_success: 1 }, details))), []);
+			proclaim.deepEqual(validate(comment('sort', { action_type: 'Newest' })), []);
+		});
+
+		it('should check the details of the comment acted on', function () {
+			const request = comment('delete', { action_type: 'delete', thread_ID: 't1', is_reply: 'yes' });
+
+			validate(request);
+
+			proclaim.include(request.system.validation_errors, 'context.comment_ID is required');
+			proclaim.include(request.system.validation_errors, 'context.is_reply should be boolean or number');
+		});
+
+		it('should check the action type', function () {
+			const request = comment('follow', { action_type: 'unfollow' });
+
+			validate(request);
+
+			proclaim.deepEqual(request.system.validation_errors, ['context.action_type should be one of follow']);
+		});
+	});
+
+	it('should ignore events without a schema', function () {
+		proclaim.deepEqual(validate({ category: 'video', action: 'play' }), []);
+	});
+
+	it('should summarise violations in system', function () {
+		const request = pageView({ product: 3, url: 'https://www.ft.com/' });
+
+		validate(request);
+
+		proclaim.deepEqual(request.system.validation_errors, ['context.content is required', 'context.product should be string']);
+	});
+
+	it('should check the configured schemas', function () {
+		settings.set('config', {
+			validation: {
+				schemas: {
+					'video:play': {
+						type: 'object',
+						required: ['context'],
+						properties: {
+							context: {
+								type: 'object',
+								additionalProperties: false,
+								properties: {
+									position: { type: 'integer', minimum: 0 },
+									player: { type: 'string', enum: ['youtube', 'brightcove'] },
+									tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' } }
+								}
+							}
+						}
+					}
+				}
+			}
+		});
+
+		const errors = validate({ category: 'video', action: 'play', context: { position: -1.5, player: 'vimeo', tags: ['ok', 'NOT'], extra: true } });
+
+		proclaim.deepEqual(errors, [
+			'context.position should be integer',
+			'context.player should be one of youtube, brightcove',
+			'context.tags[1] should match ^[a-z]+$',
+			'context.extra is not allowed'
+		]);
+	});
+
+	it('should be turned off with false', function () {
+		settings.set('config', { validation: false });
+
+		proclaim.deepEqual(validate(pageView({})), []);
+	});
+
+	it('should only throw in strict developer mode', function () {
+		settings.set('config', { validation: { strict: true, builtIn: true } });
+		proclaim.doesNotThrow(function () {
+			validate(pageView({}));
+		});
+
+		settings.set('developer', true);
+		proclaim.throws(function () {
+			validate(pageView({}));
+		}, ValidationError);
+	});
+});
@@ -0,0 +1,91 @@
+/* eslint-env mocha */
+/* global proclaim sinon */
+
+import '../setup';
+
+import settings from '../../src/javascript/core/settings';
+import core from '../../src/javascript/core';
+import session from '../../src/javascript/core/session';
+import utils from '../../src/javascript/utils';
+import attention from '../../src/javascript/events/attention';
+
+describe('page:attention', () => {
+	let clock;
+
+	function setVisibility(state) {
+		Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+		document.dispatchEvent(new Event('visibilitychange'));
+	}
+
+	function tracked() {
+		return core.track.getCalls().map(call => [call.args[0].action, call.args[0].context.active_seconds]);
+	}
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers();
+		session.init();
+		settings.set('config', { context: { product: 'desktop' } });
+		sinon.stub(core, 'track');
+		Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+	});
+
+	afterEach(() => {
+		core.track.restore();
+		clock.restore();
+		settings.destroy('config');
+		delete document.visibilityState;
+	});
+
+	it('should send heartbeats while the visitor is active', () => {
+		attention.init({ heartbeat: 10000, idle: 30000 });
+
+		clock.tick(10000);
+		proclaim.deepEqual(tracked(), [['heartbeat', 10]]);
+		proclaim.equal(core.track.firstCall.args[0].context.root_id, core.getRootID());
+	});
+
+	it('should stop counting once the visitor is idle', () => {
+		attention.init({ heartbeat: 10000, idle: 5000 });
+
+		clock.tick(3000);
+		window.dispatchEvent(new Event('keydown'));
+		clock.tick(20000);
+
+		proclaim.deepEqual(tracked(), [['heartbeat', 8]], 'no heartbeat once nothing has changed');
+	});
+
+	it('should not count time while the page is hidden or unfocused', () => {
+		attention.init({ heartbeat: 60000, idle: 60000 });
+
+		clock.tick(2000);
+		window.dispatchEvent(new Event('blur'));
+		clock.tick(5000);
+		window.dispatchEvent(new Event('focus'));
+		clock.tick(2000);
+		setVisibility('hidden');
+
+		proclaim.deepEqual(tracked(), [['attention', 4]]);
+
+		clock.tick(5000);
+		setVisibility('visible');
+		clock.tick(1000);
+		setVisibility('hidden');
+
+		proclaim.deepEqual(tracked(), [['attention', 4], ['attention', 5]], 'the total goes up if the visitor comes back');
+	});
+
+	it('should send the total and start again on each page view', () => {
+		attention.init({ heartbeat: 60000, idle: 60000 });
+		const firstRootID = core.getRootID();
+
+		clock.tick(4000);
+		core.setRootID();
+		utils.triggerPage();
+		clock.tick(1000);
+		setVisibility('hidden');
+
+		proclaim.deepEqual(tracked(), [['attention', 4], ['attention', 1]]);
+		proclaim.equal(core.track.firstCall.args[0].context.root_id, firstRootID);
+		proclaim.equal(core.track.secondCall.args[0].context.root_id, core.getRootID());
+	});
+});
@@ -215,4 +215,329 @@ describe('click', function () {
 		}, 10);
 
 	});
+
+	it('should classify links by their URL, and send the ones which leave the site straight away', function (done) {
+		sinon.spy(core, 'track');
+
+		click.init("blah", '.classified-link');
+
+		core.track.resetHistory(); // click.init() makes a call to core.track() so clearing the history here to avoid false positives
+
+		const links = {
+			'https://www.ft.com.evil.com/a-page': 'outbound',
+			'https://markets.ft.com/data': 'outbound', // until the site is configured
+			['https://markets.' + window.document.location.hostname + '/data']: 'subdomain',
+			'/reports/annual-report.PDF': 'download',
+			'/a-page-on-the-same-domain?download=true': 'download',
+			'mailto:help@ft.com': 'mailto',
+			'tel:+442077758000': 'tel',
+			'#top': 'anchor'
+		};
+
+		Object.keys(links).forEach(href => {
+			const link = document.createElement('a');
+			link.href = href;
+			link.className = 'classified-link';
+			if (href.indexOf('?download') > -1) {
+				link.setAttribute('download', '');
+			}
+			link.addEventListener('click', e => e.preventDefault()); //we don't want the browser to follow click in test
+
+			document.body.appendChild(link);
+			link.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
+		});
+
+		setTimeout(() => {
+			proclaim.deepEqual(core.track.args.map(args => args[0].context.link_type), Object.keys(links).map(href => links[href]));
+
+			core.track.restore();
+			done();
+		}, 10);
+	});
+
+	it('should queue clicks on links to the same host, with their link type', function (done) {
+		sinon.spy(core, 'track');
+
+		click.init("blah", '#anchorF');
+
+		core.track.resetHistory(); // click.init() makes a call to core.track() so clearing the history here to avoid false positives
+		new Queue('clicks').replace([]);
+
+		const aLinkToPageOnSameDomain = document.createElement('a');
+		aLinkToPageOnSameDomain.href = "/a-page-on-the-same-domain";
+		aLinkToPageOnSameDomain.id = "anchorF";
+		aLinkToPageOnSameDomain.addEventListener('click', e => e.preventDefault()); //we don't want the browser to follow click in test
+
+		document.body.appendChild(aLinkToPageOnSameDomain);
+		aLinkToPageOnSameDomain.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
+
+		setTimeout(() => {
+			proclaim.equal(core.track.notCalled, true, "click event not tracked");
+			proclaim.equal(new Queue('clicks').last().context.link_type, 'internal');
+
+			core.track.restore();
+			done();
+		}, 10);
+	});
+
+	it('should only class the current hostname\'s own subdomains as subdomains when the site isn\'t configured', function (done) {
+		sinon.spy(core, 'track');
+
+		click.init("blah", '.default-site-link');
+
+		core.track.resetHistory(); // click.init() makes a call to core.track() so clearing the history here to avoid false positives
+
+		const hostname = window.document.location.hostname;
+		const sibling = hostname.split('.').length > 1 ? hostname.replace(/^[^.]+/, 'sibling') : 'sibling-' + hostname;
+
+		['https://markets.' + hostname + '/data', 'https://' + sibling + '/data'].forEach(href => {
+			const link = document.createElement('a');
+			link.href = href;
+			link.className = 'default-site-link';
+			link.addEventListener('click', e => e.preventDefault()); //we don't want the browser to follow click in test
+
+			document.body.appendChild(link);
+			link.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
+		});
+
+		setTimeout(() => {
+			proclaim.deepEqual(core.track.args.map(args => args[0].context.link_type), ['subdomain', 'outbound']);
+
+			core.track.restore();
+			done();
+		}, 10);
+	});
+
+	it('should use the configured site and download extensions', function (done) {
+		sinon.spy(core, 'track');
+
+		settings.set('config', Object.assign({}, settings.get('config'), {
+			links: { site: 'ft.com.evil.com', downloads: ['epub'] }
+		}));
+
+		click.init("blah", '.configured-link');
+
+		core.track.resetHistory(); // click.init() makes a call to core.track() so clearing the history here to avoid false positives
+
+		['https://www.ft.com.evil.com/a-page', '/reports/annual-report.pdf', '/books/a-book.epub'].forEach(href => {
+			const link = document.createElement('a');
+			link.href = href;
+			link.className = 'configured-link';
+			link.addEventListener('click', e => e.preventDefault()); //we don't want the browser to follow click in test
+
+			document.body.appendChild(link);
+			link.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
+		});
+
+		setTimeout(() => {
+			proclaim.equal(core.track.args[0][0].context.link_type, 'subdomain');
+			proclaim.equal(core.track.args[1][0].context.link_type, 'download');
+			proclaim.equal(core.track.callCount, 2, 'the pdf link is internal, so it is queued');
+
+			const config = settings.get('config');
+			delete config.links;
+			settings.set('config', config);
+
+			core.track.restore();
+			done();
+		}, 10);
+	});
+
+	describe('analysing clicks', function () {
+
+		const clickAt = (element, x, y) => {
+			element.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true, clientX: x || 0, clientY: y || 0 }));
+		};
+
+		const frustrations = action => core.track.args.map(args => args[0]).filter(request => request.category === 'click' && request.action === action);
+
+		let button;
+		let fetch;
+
+		beforeEach(function () {
+			fetch = window.fetch;
+			sinon.stub(core, 'track');
+			button = document.createElement('button');
+			button.className = 'analysed-button';
+			button.setAttribute('data-trackable', 'analysed');
+			document.body.appendChild(button);
+		});
+
+		afterEach(function () {
+			window.fetch = fetch;
+			core.track.restore();
+			document.body.removeChild(button);
+		});
+
+		it('should track rage clicks once for each burst of clicks in the same place', function () {
+			click.init('blah', '.analysed-button', { rage: { clicks: 3 } });
+
+			clickAt(button, 10, 10);
+			clickAt(button, 12, 11);
+			proclaim.lengthEquals(frustrations('rage'), 0);
+
+			clickAt(button, 11, 9);
+			clickAt(button, 10, 10);
+
+			const rage = frustrations('rage');
+			proclaim.lengthEquals(rage, 1);
+			proclaim.equal(rage[0].context.clicks, 3);
+			proclaim.equal(rage[0].context.domPathTokens[0]['data-trackable'], 'analysed');
+		});
+
+		it('should not track clicks which are far apart as rage clicks', function () {
+			click.init('blah', '.analysed-button', { rage: true });
+
+			clickAt(button, 10, 10);
+			clickAt(button, 200, 10);
+			clickAt(button, 10, 200);
+
+			proclaim.lengthEquals(frustrations('rage'), 0);
+		});
+
+		it('should track dead clicks which do nothing', function (done) {
+			click.init('blah', '.analysed-button', { dead: { wait: 20 } });
+
+			clickAt(button);
+
+			setTimeout(() => {
+				const dead = frustrations('dead');
+				proclaim.lengthEquals(dead, 1);
+				proclaim.equal(dead[0].context.wait, 20);
+				proclaim.equal(dead[0].context.domPathTokens[0]['data-trackable'], 'analysed');
+				done();
+			}, 50);
+		});
+
+		it('should not track clicks which change the DOM as dead', function (done) {
+			click.init('blah', '.analysed-button', { dead: { wait: 20 } });
+
+			button.addEventListener('click', () => button.setAttribute('aria-expanded', 'true'));
+			clickAt(button);
+
+			setTimeout(() => {
+				proclaim.lengthEquals(frustrations('dead'), 0);
+				done();
+			}, 50);
+		});
+
+		it('should not track clicks which only change attributes that aren\'t shown as something happening', function (done) {
+			click.init('blah', '.analysed-button', { dead: { wait: 20 } });
+
+			button.addEventListener('click', () => document.body.setAttribute('data-last-click', new Date().getTime()));
+			clickAt(button);
+
+			setTimeout(() => {
+				proclaim.lengthEquals(frustrations('dead'), 1);
+				document.body.removeAttribute('data-last-click');
+				done();
+			}, 50);
+		});
+
+		describe('requests', function () {
+			let PerformanceObserver;
+			let observer;
+
+			beforeEach(function () {
+				PerformanceObserver = Object.getOwnPropertyDescriptor(window, 'PerformanceObserver');
+				observer = null;
+				Object.defineProperty(window, 'PerformanceObserver', {
+					value: function (callback) {
+						observer = this;
+						this.callback = callback;
+						this.observe = sinon.spy();
+						this.disconnect = sinon.spy();
+					},
+					configurable: true
+				});
+			});
+
+			afterEach(function () {
+				if (PerformanceObserver) {
+					Object.defineProperty(window, 'PerformanceObserver', PerformanceObserver);
+				} else {
+					delete window.PerformanceObserver;
+				}
+			});
+
+			const finish = url => observer.callback({ getEntries: () => [{ name: url, startTime: window.performance.now() }] });
+
+			it('should not track clicks which make a request as dead, without wrapping fetch', function (done) {
+				const stub = sinon.stub().returns(new Promise(() => {}));
+				window.fetch = stub;
+				click.init('blah', '.analysed-button', { dead: { wait: 20 } });
+
+				clickAt(button);
+				proclaim.strictEqual(window.fetch, stub, 'fetch is left alone');
+				proclaim.deepEqual(observer.observe.firstCall.args[0], { type: 'resource' });
+				finish('https://www.ft.com/api/more');
+
+				setTimeout(() => {
+					proclaim.lengthEquals(frustrations('dead'), 0);
+					proclaim.isTrue(observer.disconnect.called, 'stops observing once there are no clicks to wait for');
+					done();
+				}, 50);
+			});
+
+			it('should ignore o-tracking\'s own requests', function (done) {
+				click.init('blah', '.analysed-button', { dead: { wait: 20 } });
+
+				clickAt(button);
+				finish(send.getDomain() + '?type=click:click');
+
+				setTimeout(() => {
+					proclaim.lengthEquals(frustrations('dead'), 1);
+					done();
+				}, 50);
+			});
+		});
+
+		it('should not track clicks which submit a form or follow a link as dead, unless they are cancelled', function (done) {
+			const form = document.createElement('form');
+			const submit = document.createElement('button');
+			submit.className = 'analysed-button';
+			form.appendChild(submit);
+			form.addEventListener('submit', e => e.preventDefault()); //we don't want the browser to submit the form in test
+			document.body.appendChild(form);
+
+			const link = document.createElement('a');
+			link.href = '/a-page-on-the-same-domain';
+			link.className = 'analysed-button';
+			link.addEventListener('click', e => e.preventDefault()); //we don't want the browser to follow click in test
+			document.body.appendChild(link);
+
+			click.init('blah', '.analysed-button', { dead: { wait: 20 } });
+
+			clickAt(submit);
+			clickAt(link);
+
+			setTimeout(() => {
+				const dead = frustrations('dead');
+				proclaim.lengthEquals(dead, 1, 'only the cancelled link click is dead');
+				proclaim.equal(dead[0].context.domPathTokens[0].nodeName, 'A');
+				document.body.removeChild(form);
+				document.body.removeChild(link);
+				done();
+			}, 50);
+		});
+
+		it('should not track clicks on fields or on elements with data-o-tracking-do-not-track as dead', function (done) {
+			const input = document.createElement('input');
+			input.type = 'checkbox';
+			input.className = 'analysed-button';
+			document.body.appendChild(input);
+			button.setAttribute('data-o-tracking-do-not-track', 'true');
+
+			click.init('blah', '.analysed-button', { dead: { wait: 20 } });
+
+			clickAt(input);
+			clickAt(button);
+
+			setTimeout(() => {
+				proclaim.lengthEquals(frustrations('dead'), 0);
+				document.body.removeChild(input);
+				done();
+			}, 50);
+		});
+	});
 });
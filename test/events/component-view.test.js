@@ -20,6 +20,7 @@ const config = {
 
 let targetComponent;
 let errorThrown;
+let observerOptions = [];
 
 function createTargetComponent (attributes, text) {
 	targetComponent = document.createElement('div');
@@ -28,21 +29,26 @@ function createTargetComponent (attributes, text) {
 	document.body.appendChild(targetComponent);
 }
 
-function viewed (target) {
-	const event = new Event('intersect');
+function viewed (target, detail) {
+	const event = new CustomEvent('intersect', { detail });
 	target.dispatchEvent(event);
 }
 
+function left (target) {
+	viewed(target, { isIntersecting: false, intersectionRatio: 0 });
+}
+
 function setMockIntersectionObserver (observeSpy, unobserveSpy) {
 	function mockIntersectionObserver(callback, options) {
 		this.callback = callback;
 		this.options = options;
+		observerOptions.push(options);
 	}
 
 	mockIntersectionObserver.prototype.observe = function (target) {
-		target.addEventListener('intersect', () => {
+		target.addEventListener('intersect', event => {
 			try {
-				this.callback([{ isIntersecting: true, target }]);
+				this.callback([Object.assign({ isIntersecting: true, target }, event.detail)]);
 			} catch (e) {
 				errorThrown = e;
 			}
@@ -54,6 +60,8 @@ function setMockIntersectionObserver (observeSpy, unobserveSpy) {
 		unobserveSpy(target);
 	};
 
+	mockIntersectionObserver.prototype.disconnect = function () {};
+
 	window.IntersectionObserver = mockIntersectionObserver;
 }
 
@@ -72,11 +80,15 @@ describe('component:view', () => {
 	});
 
 	afterEach(() => {
+		componentView.destroy();
 		observeSpy.resetHistory();
 		unobserveSpy.resetHistory();
-		document.body.removeChild(targetComponent);
+		if (targetComponent.parentNode) {
+			targetComponent.parentNode.removeChild(targetComponent);
+		}
 		targetComponent = undefined;
 		errorThrown = undefined;
+		observerOptions = [];
 		core.track.restore();
 	});
 
@@ -88,6 +100,7 @@ describe('component:view', () => {
 			createTargetComponent(attributes, text);
 			componentView.init();
 			viewed(targetComponent);
+			left(targetComponent);
 		});
 
 		it('should track an event for a component view ', () => {
@@ -102,6 +115,11 @@ describe('component:view', () => {
 			proclaim.equal(core.track.getCall(0).args[0].action, 'view');
 			proclaim.ok(core.track.getCall(0).args[0].context.domPathTokens, true);
 		});
+
+		it('should track how long and how much of the component was visible', () => {
+			proclaim.isNumber(core.track.getCall(0).args[0].context.visible_time);
+			proclaim.equal(core.track.getCall(0).args[0].context.max_ratio, 1);
+		});
 	});
 
 	context('with custom props', () => {
@@ -132,6 +150,7 @@ describe('component:view', () => {
 
 				componentView.init(opts);
 				viewed(targetComponent);
+				left(targetComponent);
 			});
 
 			it('should track an event for a component view', () => {
@@ -162,6 +181,7 @@ describe('component:view', () => {
 
 					componentView.init(opts);
 					viewed(targetComponent);
+					left(targetComponent);
 				});
 
 				it('should throw an error', () => {
@@ -181,6 +201,7 @@ describe('component:view', () => {
 
 					componentView.init(opts);
 					viewed(targetComponent);
+					left(targetComponent);
 				});
 
 				it('should throw an error', () => {
@@ -205,6 +226,7 @@ describe('component:view', () => {
 
 					componentView.init(opts);
 					viewed(targetComponent);
+					left(targetComponent);
 				});
 
 				it('should not throw an error', () => {
@@ -225,4 +247,258 @@ describe('component:view', () => {
 		});
 	});
 
+	context('with visibility options', () => {
+		const attributes = [{ key: 'data-o-tracking-view', value: true }];
+		let clock;
+
+		beforeEach(() => {
+			clock = sinon.useFakeTimers();
+		});
+
+		afterEach(() => {
+			clock.restore();
+		});
+
+		it('should track once the component leaves view', () => {
+			createTargetComponent(attributes, 'component:view target for leaving view');
+			componentView.init();
+
+			viewed(targetComponent, { intersectionRatio: 1 });
+			proclaim.equal(core.track.called, false, 'view event not tracked while in view');
+
+			left(targetComponent);
+			proclaim.equal(core.track.calledOnce, true, 'view event tracked');
+		});
+
+		it('should only count the component as in view from the threshold ratio', () => {
+			createTargetComponent(attributes, 'component:view target for threshold');
+			componentView.init({ threshold: 0.5 });
+
+			viewed(targetComponent, { intersectionRatio: 0.3 });
+			left(targetComponent);
+			proclaim.equal(core.track.called, false, 'view event not tracked below the threshold');
+
+			viewed(targetComponent, { intersectionRatio: 0.6 });
+			left(targetComponent);
+			proclaim.equal(errorThrown, undefined);
+			proclaim.equal(core.track.calledOnce, true, 'view event tracked');
+			proclaim.include(observerOptions[0].threshold, 0.5);
+		});
+
+		it('should track the most of the component which was in view', () => {
+			createTargetComponent(attributes, 'component:view target for max ratio');
+			componentView.init({ threshold: 0.5 });
+
+			viewed(targetComponent, { intersectionRatio: 0.5 });
+			viewed(targetComponent, { intersectionRatio: 0.9 });
+			viewed(targetComponent, { intersectionRatio: 0.6 });
+			left(targetComponent);
+
+			proclaim.equal(core.track.getCall(0).args[0].context.max_ratio, 0.9);
+		});
+
+		it('should only track the component if it was in view for the dwell time without a break', () => {
+			createTargetComponent(attributes, 'component:view target for dwell');
+			componentView.init({ dwell: 1000 });
+
+			viewed(targetComponent, { intersectionRatio: 1 });
+			clock.tick(500);
+			left(targetComponent);
+			proclaim.equal(core.track.called, false, 'view event not tracked for a glance');
+
+			viewed(targetComponent, { intersectionRatio: 1 });
+			clock.tick(1000);
+			left(targetComponent);
+			proclaim.equal(core.track.calledOnce, true, 'view event tracked');
+			proclaim.equal(unobserveSpy.calledOnce, true, 'IntersectionObserver unobserved target');
+		});
+
+		it('should track the whole time the component was in view for, beyond the dwell time', () => {
+			createTargetComponent(attributes, 'component:view target for visible time');
+			componentView.init({ dwell: 1000, threshold: 0.5 });
+
+			viewed(targetComponent, { intersectionRatio: 1 });
+			clock.tick(3000);
+			viewed(targetComponent, { intersectionRatio: 0.75 });
+			clock.tick(2000);
+			left(targetComponent);
+
+			proclaim.equal(core.track.getCall(0).args[0].context.visible_time, 5000);
+			proclaim.equal(core.track.getCall(0).args[0].context.max_ratio, 1);
+		});
+
+		it('should track the view when the page is hidden', () => {
+			const visibilityState = Object.getOwnPropertyDescriptor(document, 'visibilityState');
+
+			createTargetComponent(attributes, 'component:view target for hidden page');
+			componentView.init();
+
+			viewed(targetComponent, { intersectionRatio: 1 });
+			clock.tick(2000);
+			Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+			document.dispatchEvent(new Event('visibilitychange'));
+
+			if (visibilityState) {
+				Object.defineProperty(document, 'visibilityState', visibilityState);
+			} else {
+				delete document.visibilityState;
+			}
+
+			proclaim.equal(core.track.calledOnce, true, 'view event tracked');
+			proclaim.equal(core.track.getCall(0).args[0].context.visible_time, 2000);
+		});
+
+		it('should track each time the component comes back into view when repeat is set', () => {
+			createTargetComponent(attributes, 'component:view target for repeat');
+			componentView.init({ repeat: true });
+
+			viewed(targetComponent, { intersectionRatio: 1 });
+			viewed(targetComponent, { intersectionRatio: 1 });
+			left(targetComponent);
+			viewed(targetComponent, { intersectionRatio: 1 });
+			left(targetComponent);
+
+			proclaim.equal(core.track.calledTwice, true, 'view event tracked on each entry');
+			proclaim.equal(unobserveSpy.called, false, 'IntersectionObserver kept observing target');
+		});
+
+		it('should use the options from the element\'s data attributes', () => {
+			const dataAttributes = attributes.concat([
+				{ key: 'data-o-tracking-view-threshold', value: '0.25' },
+				{ key: 'data-o-tracking-view-root-margin', value: '100px' },
+				{ key: 'data-o-tracking-view-repeat', value: 'false' }
+			]);
+
+			createTargetComponent(dataAttributes, 'component:view target for data attributes');
+			componentView.init({ threshold: 1, repeat: true });
+
+			viewed(targetComponent, { intersectionRatio: 0.3 });
+			left(targetComponent);
+
+			proclaim.equal(observerOptions[0].rootMargin, '100px');
+			proclaim.equal(core.track.calledOnce, true, 'view event tracked');
+			proclaim.equal(unobserveSpy.calledOnce, true, 'IntersectionObserver unobserved target');
+		});
+
+		it('should report data attributes which can\'t be used, and use the options passed to init instead', () => {
+			const errors = sinon.spy();
+			window.addEventListener('oErrors.log', errors);
+
+			const dataAttributes = attributes.concat([
+				{ key: 'data-o-tracking-view-threshold', value: 'abc' },
+				{ key: 'data-o-tracking-view-dwell', value: '-5' },
+				{ key: 'data-o-tracking-view-root-margin', value: '10 pixels' }
+			]);
+
+			createTargetComponent(dataAttributes, 'component:view target for invalid data attributes');
+			const firstComponent = targetComponent;
+			createTargetComponent(attributes.concat([{ key: 'data-o-tracking-view-threshold', value: '1.5' }]), 'component:view target after invalid data attributes');
+
+			componentView.init({ threshold: 0.5 });
+			window.removeEventListener('oErrors.log', errors);
+
+			proclaim.equal(errors.callCount, 4, 'each invalid attribute is reported');
+			proclaim.equal(observeSpy.callCount, 2, 'both components are observed');
+			proclaim.deepEqual(observerOptions.map(options => options.rootMargin), ['0px', '0px']);
+			proclaim.include(observerOptions[0].threshold, 0.5);
+			proclaim.include(observerOptions[1].threshold, 1);
+
+			viewed(firstComponent, { intersectionRatio: 0.6 });
+			left(firstComponent);
+			proclaim.equal(core.track.calledOnce, true, 'view event tracked');
+
+			firstComponent.parentNode.removeChild(firstComponent);
+		});
+	});
+
+	context('with elements added and removed later', () => {
+		const attributes = [{ key: 'data-o-tracking-view', value: true }];
+
+		it('should track elements added to the page', () => {
+			componentView.init();
+			createTargetComponent(attributes, 'component:view target added later');
+
+			return Promise.resolve().then(() => {
+				proclaim.equal(observeSpy.calledOnce, true, 'IntersectionObserver observed target');
+				proclaim.equal(observeSpy.getCall(0).args[0], targetComponent);
+
+				viewed(targetComponent);
+				left(targetComponent);
+				proclaim.equal(core.track.calledOnce, true, 'view event tracked');
+			});
+		});
+
+		it('should track elements within a node added to the page', () => {
+			componentView.init();
+			createTargetComponent([], '<div data-o-tracking-view>component:view target within a node added later</div>');
+
+			return Promise.resolve().then(() => {
+				proclaim.equal(observeSpy.calledOnce, true, 'IntersectionObserver observed target');
+				proclaim.equal(observeSpy.getCall(0).args[0], targetComponent.firstChild);
+			});
+		});
+
+		it('should stop observing elements removed from the page', () => {
+			createTargetComponent(attributes, 'component:view target removed later');
+			componentView.init();
+			document.body.removeChild(targetComponent);
+
+			return Promise.resolve().then(() => {
+				proclaim.equal(unobserveSpy.calledOnce, true, 'IntersectionObserver unobserved target');
+				proclaim.equal(unobserveSpy.getCall(0).args[0], targetComponent);
+			});
+		});
+
+		it('should not track an element again when it is moved', () => {
+			createTargetComponent(attributes, 'component:view target moved later');
+			componentView.init();
+			viewed(targetComponent);
+			left(targetComponent);
+			document.body.insertBefore(targetComponent, document.body.firstChild);
+
+			return Promise.resolve().then(() => {
+				proclaim.equal(observeSpy.calledOnce, true, 'IntersectionObserver observed target once');
+				proclaim.equal(core.track.calledOnce, true, 'view event tracked once');
+				proclaim.equal(targetComponent.hasAttribute('data-o-tracking-view-tracked'), false, 'the page is left alone');
+			});
+		});
+
+		it('should track the views of elements in view when destroyed', () => {
+			createTargetComponent(attributes, 'component:view target in view when destroyed');
+			componentView.init();
+			viewed(targetComponent, { intersectionRatio: 1 });
+
+			componentView.destroy();
+			proclaim.equal(core.track.calledOnce, true, 'view event tracked');
+			proclaim.equal(core.track.getCall(0).args[0].context.max_ratio, 1);
+		});
+	});
+
+	context('with observe and unobserve', () => {
+		beforeEach(() => {
+			createTargetComponent([], 'component:view target observed explicitly');
+			componentView.init({ category: 'custom', selector: '[data-custom-element]' });
+		});
+
+		it('should track views of an element it is given', () => {
+			componentView.observe(targetComponent);
+			viewed(targetComponent);
+			left(targetComponent);
+
+			proclaim.equal(observeSpy.calledOnce, true, 'IntersectionObserver observed target');
+			proclaim.equal(core.track.calledOnce, true, 'view event tracked');
+			proclaim.equal(core.track.getCall(0).args[0].category, 'custom');
+		});
+
+		it('should stop tracking views of an element it is given', () => {
+			componentView.observe(targetComponent);
+			componentView.unobserve(targetComponent);
+			viewed(targetComponent);
+			left(targetComponent);
+
+			proclaim.equal(unobserveSpy.calledOnce, true, 'IntersectionObserver unobserved target');
+			proclaim.equal(core.track.called, false, 'view event not tracked');
+		});
+	});
+
 });
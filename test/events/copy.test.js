@@ -0,0 +1,95 @@
+/* eslint-env mocha */
+/* global proclaim sinon */
+
+import '../setup';
+
+import settings from '../../src/javascript/core/settings';
+import core from '../../src/javascript/core';
+import session from '../../src/javascript/core/session';
+import murmurhash from '../../src/libs/murmurhash';
+import copy from '../../src/javascript/events/copy';
+
+describe('text:copy', () => {
+	let article;
+
+	function copyText(element) {
+		const range = document.createRange();
+		range.selectNodeContents(element);
+		window.getSelection().removeAllRanges();
+		window.getSelection().addRange(range);
+		element.dispatchEvent(new Event('copy', { bubbles: true }));
+	}
+
+	beforeEach(() => {
+		session.init();
+		settings.set('config', { context: { product: 'desktop' } });
+		sinon.stub(core, 'track');
+
+		article = document.createElement('article');
+		article.className = 'article-body';
+		article.setAttribute('data-trackable', 'article');
+		article.innerHTML = '<p id="quote" data-trackable-context-section="opinion">Markets rallied on Friday</p><p id="private" data-o-tracking-do-not-track="true">Private <b>note</b></p>';
+		document.body.appendChild(article);
+	});
+
+	afterEach(() => {
+		core.track.restore();
+		settings.destroy('config');
+		document.body.removeChild(article);
+	});
+
+	it('should track the length of the copied text and where it came from', () => {
+		copy.init();
+		copyText(document.getElementById('quote'));
+
+		proclaim.isTrue(core.track.calledOnce);
+		const event = core.track.firstCall.args[0];
+		proclaim.equal(event.category, 'text');
+		proclaim.equal(event.action, 'copy');
+		proclaim.equal(event.context.characters, 25);
+		proclaim.equal(event.context.words, 4);
+		proclaim.equal(event.context.section, 'opinion');
+		proclaim.equal(event.context.domPathTokens[0].id, 'quote');
+		proclaim.equal(event.context.domPathTokens[1]['data-trackable'], 'article');
+		proclaim.isUndefined(event.context.excerpt);
+	});
+
+	it('should only track copying from the selected parts of the page', () => {
+		copy.init({ selector: '.sidebar' });
+		copyText(document.getElementById('quote'));
+
+		proclaim.isFalse(core.track.called);
+	});
+
+	it('should not track copying from elements with data-o-tracking-do-not-track', () => {
+		copy.init();
+		copyText(document.querySelector('#private b'));
+
+		proclaim.isFalse(core.track.called);
+	});
+
+	it('should send a truncated or hashed excerpt', () => {
+		copy.init({ excerpt: 7 });
+		copyText(document.getElementById('quote'));
+		proclaim.equal(core.track.lastCall.args[0].context.excerpt, 'Markets');
+
+		copy.init({ excerpt: 'hash' });
+		copyText(document.getElementById('quote'));
+		proclaim.equal(core.track.lastCall.args[0].context.excerpt_hash, murmurhash('Markets rallied on Friday'));
+	});
+
+	it('should hash the excerpt as UTF-8, so that text which only differs outside ASCII hashes differently', () => {
+		copy.init({ excerpt: 'hash' });
+
+		document.getElementById('quote').textContent = 'Café prices up €100';
+		copyText(document.getElementById('quote'));
+		const euro = core.track.lastCall.args[0].context.excerpt_hash;
+
+		document.getElementById('quote').textContent = 'Café prices up ¬100';
+		copyText(document.getElementById('quote'));
+		const not = core.track.lastCall.args[0].context.excerpt_hash;
+
+		proclaim.equal(euro, murmurhash('Caf\xC3\xA9 prices up \xE2\x82\xAC100'));
+		proclaim.notEqual(euro, not);
+	});
+});
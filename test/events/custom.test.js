@@ -8,6 +8,7 @@ import settings from '../../src/javascript/core/settings';
 import send from '../../src/javascript/core/send';
 import session from '../../src/javascript/core/session';
 import trackEvent from '../../src/javascript/events/custom.js';
+import { ValidationError } from '../../src/javascript/core/errors';
 
 describe('event', function () {
 
@@ -85,4 +86,26 @@ describe('event', function () {
 
 		document.body.dispatchEvent(event);
 	});
+
+	it('should reject with a ValidationError if the category or action is missing', function () {
+		const callback = sinon.spy();
+
+		return trackEvent(new CustomEvent('oTracking.event', {
+			detail: { category: 'video' }
+		}), callback).then(function () {
+			throw new Error('Should have been rejected');
+		}, function (error) {
+			proclaim.isInstanceOf(error, ValidationError);
+			proclaim.equal(error.message, 'Missing category or action values');
+			proclaim.strictEqual(callback.getCall(0).args[0], error, 'the callback is passed the error too');
+		});
+	});
+
+	it('should resolve once the event has been sent', function () {
+		return trackEvent(new CustomEvent('oTracking.event', {
+			detail: { category: 'video', action: 'play' }
+		})).then(function (request) {
+			proclaim.equal(request.action, 'play');
+		});
+	});
 });
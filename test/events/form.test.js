@@ -0,0 +1,154 @@
+/* eslint-env mocha */
+/* global proclaim sinon */
+
+import '../setup';
+
+import settings from '../../src/javascript/core/settings';
+import core from '../../src/javascript/core';
+import session from '../../src/javascript/core/session';
+import form from '../../src/javascript/events/form';
+import utils from '../../src/javascript/utils';
+
+describe('form', () => {
+	let clock;
+	let signUp;
+
+	function tracked() {
+		return core.track.getCalls().map(call => call.args[0]);
+	}
+
+	function hide() {
+		Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+		document.dispatchEvent(new Event('visibilitychange'));
+		delete document.visibilityState;
+	}
+
+	function leave() {
+		window.dispatchEvent(new Event('pagehide'));
+	}
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers({ toFake: ['Date'] });
+		session.init();
+		settings.set('config', { context: { product: 'desktop' } });
+		sinon.stub(core, 'track');
+
+		signUp = document.createElement('form');
+		signUp.setAttribute('data-o-tracking-form', 'sign-up');
+		signUp.innerHTML = '<input name="email" type="email" required value="joe@example.com"><input data-trackable="password-field" name="password" type="password"><input name="secret" data-o-tracking-do-not-track="true">';
+		document.body.appendChild(signUp);
+		form.init();
+	});
+
+	afterEach(() => {
+		core.track.restore();
+		clock.restore();
+		settings.destroy('config');
+		if (signUp.parentNode) {
+			document.body.removeChild(signUp);
+		}
+	});
+
+	it('should track focus and time spent in each field, without the values', () => {
+		signUp.elements.email.focus();
+		clock.tick(1500);
+		signUp.elements.password.focus();
+
+		proclaim.deepEqual(tracked().map(event => [event.category, event.action, event.context.field]), [
+			['form', 'focus', 'email'],
+			['form', 'blur', 'email'],
+			['form', 'focus', 'password-field']
+		]);
+
+		const blur = tracked()[1].context;
+		proclaim.equal(blur.form, 'sign-up');
+		proclaim.equal(blur.field_type, 'email');
+		proclaim.equal(blur.duration, 1500);
+		proclaim.notInclude(JSON.stringify(tracked()), 'joe@example.com');
+	});
+
+	it('should ignore fields with data-o-tracking-do-not-track and untracked forms', () => {
+		signUp.elements.secret.focus();
+		signUp.removeAttribute('data-o-tracking-form');
+		signUp.elements.email.focus();
+
+		proclaim.isFalse(core.track.called);
+	});
+
+	it('should track fields which fail validation', () => {
+		signUp.elements.email.value = '';
+		signUp.checkValidity();
+
+		const invalid = tracked()[0];
+		proclaim.equal(invalid.action, 'invalid');
+		proclaim.equal(invalid.context.field, 'email');
+		proclaim.deepEqual(invalid.context.errors, ['valueMissing']);
+	});
+
+	it('should track submission, and not abandonment afterwards', () => {
+		signUp.elements.email.focus();
+		clock.tick(3000);
+		signUp.dispatchEvent(new Event('submit', { bubbles: true }));
+		leave();
+
+		const submit = tracked().filter(event => event.action === 'submit')[0];
+		proclaim.equal(submit.context.fields_touched, 1);
+		proclaim.equal(submit.context.duration, 3000);
+		proclaim.equal(tracked().filter(event => event.action === 'abandon').length, 0);
+	});
+
+	it('should track forms which were started but not submitted when the visitor leaves the page', () => {
+		signUp.elements.email.focus();
+		signUp.elements.password.focus();
+		clock.tick(2000);
+		leave();
+		leave();
+
+		const abandoned = tracked().filter(event => event.action === 'abandon');
+		proclaim.equal(abandoned.length, 1);
+		proclaim.equal(abandoned[0].context.form, 'sign-up');
+		proclaim.equal(abandoned[0].context.fields_touched, 2);
+		proclaim.equal(abandoned[0].context.duration, 2000);
+	});
+
+	it('should not track a form as abandoned when the visitor switches tabs and comes back to submit it', () => {
+		signUp.elements.email.focus();
+		hide();
+		signUp.dispatchEvent(new Event('submit', { bubbles: true }));
+		leave();
+
+		proclaim.deepEqual(tracked().filter(event => event.action !== 'focus' && event.action !== 'blur').map(event => event.action), ['submit']);
+	});
+
+	it('should track forms which were started but not submitted when another page is tracked in a single page app', () => {
+		signUp.elements.email.focus();
+		clock.tick(1000);
+		utils.triggerPage();
+
+		proclaim.equal(tracked().filter(event => event.action === 'abandon').length, 1);
+
+		// The form is still on the page, so it can be started again on the new one.
+		signUp.elements.password.focus();
+		utils.triggerPage();
+
+		const abandoned = tracked().filter(event => event.action === 'abandon');
+		proclaim.equal(abandoned.length, 2);
+		proclaim.equal(abandoned[1].context.fields_touched, 1);
+	});
+
+	it('should let go of forms which have been removed from the page, tracking them as abandoned if they were started', () => {
+		signUp.elements.email.focus();
+		document.body.removeChild(signUp);
+
+		const newsletter = document.createElement('form');
+		newsletter.setAttribute('data-o-tracking-form', 'newsletter');
+		newsletter.innerHTML = '<input name="email" type="email">';
+		document.body.appendChild(newsletter);
+		newsletter.elements.email.focus();
+		leave();
+		document.body.removeChild(newsletter);
+
+		const abandoned = tracked().filter(event => event.action === 'abandon').map(event => event.context.form);
+		proclaim.deepEqual(abandoned, ['sign-up', 'newsletter']);
+	});
+});
@@ -52,6 +52,13 @@ describe('page', function () {
 		/*eslint-enable*/
 	});
 
+	it('should resolve once the page view has been sent', function () {
+		return page({ url: 'http://www.ft.com/home/uk' }).then(function (request) {
+			proclaim.equal(request.category, 'page');
+			proclaim.equal(request.context.url, 'http://www.ft.com/home/uk');
+		});
+	});
+
 	it('should assign a unique root_id for each page', function () {
 		const callback = sinon.spy();
 		const callback2 = sinon.spy();
@@ -0,0 +1,131 @@
+/* eslint-env mocha */
+/* global proclaim sinon */
+
+import '../setup';
+
+import settings from '../../src/javascript/core/settings';
+import core from '../../src/javascript/core';
+import session from '../../src/javascript/core/session';
+import performance from '../../src/javascript/events/performance';
+
+describe('page:performance', () => {
+	let clock;
+	let observed;
+	const windowPerformance = window.performance;
+
+	function MockPerformanceObserver(callback) {
+		this.callback = callback;
+		this.records = [];
+	}
+
+	MockPerformanceObserver.supportedEntryTypes = ['largest-contentful-paint', 'layout-shift', 'event', 'first-input', 'longtask'];
+
+	MockPerformanceObserver.prototype.observe = function (options) {
+		observed[options.type] = this;
+	};
+
+	MockPerformanceObserver.prototype.takeRecords = function () {
+		const records = this.records;
+		this.records = [];
+		return records;
+	};
+
+	MockPerformanceObserver.prototype.disconnect = function () {
+		this.disconnected = true;
+	};
+
+	function entries(type, list) {
+		observed[type].callback({ getEntries: () => list });
+	}
+
+	function hide() {
+		Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+		document.dispatchEvent(new Event('visibilitychange'));
+		delete document.visibilityState;
+	}
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+		observed = {};
+		window.PerformanceObserver = MockPerformanceObserver;
+		Object.defineProperty(window, 'performance', {
+			configurable: true,
+			value: {
+				getEntriesByType: () => [{
+					responseStart: 120.4,
+					domInteractive: 800,
+					domContentLoadedEventEnd: 900,
+					loadEventEnd: 0,
+					transferSize: 2048
+				}]
+			}
+		});
+		session.init();
+		settings.set('config', { context: { product: 'desktop' } });
+		sinon.stub(core, 'track');
+	});
+
+	afterEach(() => {
+		// Send anything left over, so the next test starts afresh.
+		hide();
+		core.track.restore();
+		Object.defineProperty(window, 'performance', { configurable: true, value: windowPerformance });
+		delete window.PerformanceObserver;
+		clock.restore();
+		settings.destroy('config');
+	});
+
+	it('should send the metrics in one event when the page is hidden', () => {
+		performance.init();
+
+		entries('largest-contentful-paint', [{ startTime: 1000, renderTime: 1200.6 }, { startTime: 1500, renderTime: 1600 }]);
+		entries('first-input', [{ startTime: 2000, processingStart: 2012 }]);
+		entries('longtask', [{ duration: 60 }, { duration: 80 }]);
+		entries('event', [{ interactionId: 1, duration: 48 }, { interactionId: 1, duration: 120 }, { interactionId: 2, duration: 64 }]);
+		observed['longtask'].records = [{ duration: 100 }];
+
+		proclaim.isFalse(core.track.called);
+		hide();
+		hide();
+
+		proclaim.isTrue(core.track.calledOnce);
+		const event = core.track.firstCall.args[0];
+		proclaim.equal(event.category, 'page');
+		proclaim.equal(event.action, 'performance');
+		proclaim.deepEqual(event.context, {
+			root_id: core.getRootID(),
+			ttfb: 120,
+			dom_interactive: 800,
+			dom_content_loaded: 900,
+			transfer_size: 2048,
+			lcp: 1600,
+			fid: 12,
+			long_tasks: 3,
+			inp: 120
+		});
+		proclaim.isTrue(observed['longtask'].disconnected);
+	});
+
+	it('should take the largest session window of layout shifts as CLS', () => {
+		performance.init();
+
+		entries('layout-shift', [
+			{ startTime: 0, value: 0.1 },
+			{ startTime: 500, value: 0.05 },
+			{ startTime: 700, value: 0.5, hadRecentInput: true },
+			{ startTime: 3000, value: 0.12 }
+		]);
+		hide();
+
+		proclaim.equal(core.track.firstCall.args[0].context.cls, 0.15);
+	});
+
+	it('should send the metrics after a delay', () => {
+		performance.init({ delay: 5000, action: 'perceivedLoad' });
+
+		clock.tick(5000);
+
+		proclaim.isTrue(core.track.calledOnce);
+		proclaim.equal(core.track.firstCall.args[0].action, 'perceivedLoad');
+	});
+});
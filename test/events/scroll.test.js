@@ -0,0 +1,100 @@
+/* eslint-env mocha */
+/* global proclaim sinon */
+
+import '../setup';
+
+import settings from '../../src/javascript/core/settings';
+import core from '../../src/javascript/core';
+import session from '../../src/javascript/core/session';
+import utils from '../../src/javascript/utils';
+import scroll from '../../src/javascript/events/scroll';
+
+describe('page:scroll', () => {
+	let clock;
+	let descriptors;
+
+	// The properties scrollTo redefines, so that they can be put back.
+	const properties = [[window, 'pageYOffset'], [window, 'innerHeight'], [document.documentElement, 'scrollHeight']];
+
+	function scrollTo(top, height) {
+		Object.defineProperty(window, 'pageYOffset', { value: top, configurable: true });
+		Object.defineProperty(window, 'innerHeight', { value: 100, configurable: true });
+		Object.defineProperty(document.documentElement, 'scrollHeight', { value: height || 1000, configurable: true });
+		window.dispatchEvent(new Event('scroll'));
+		clock.tick(100);
+	}
+
+	function depths() {
+		return core.track.getCalls().map(call => call.args[0].context.maxscroll);
+	}
+
+	beforeEach(() => {
+		descriptors = properties.map(([object, name]) => Object.getOwnPropertyDescriptor(object, name));
+		clock = sinon.useFakeTimers();
+		session.init();
+		settings.set('config', { context: { product: 'desktop' } });
+		sinon.stub(core, 'track');
+		scrollTo(0);
+	});
+
+	afterEach(() => {
+		core.track.restore();
+		clock.restore();
+		settings.destroy('config');
+		properties.forEach(([object, name], i) => {
+			if (descriptors[i]) {
+				Object.defineProperty(object, name, descriptors[i]);
+			} else {
+				delete object[name];
+			}
+		});
+	});
+
+	it('should track each threshold once', () => {
+		scroll.init();
+		proclaim.deepEqual(depths(), []);
+
+		scrollTo(200);
+		proclaim.deepEqual(depths(), [25]);
+
+		scrollTo(900);
+		scrollTo(400);
+		scrollTo(900);
+		proclaim.deepEqual(depths(), [25, 50, 75, 100]);
+
+		const event = core.track.firstCall.args[0];
+		proclaim.equal(event.category, 'page');
+		proclaim.equal(event.action, 'scroll');
+	});
+
+	it('should track custom thresholds', () => {
+		scroll.init({ thresholds: [90, 10], category: 'article' });
+
+		scrollTo(400);
+		proclaim.deepEqual(depths(), [10]);
+		proclaim.equal(core.track.firstCall.args[0].category, 'article');
+	});
+
+	it('should measure against a container', () => {
+		const article = document.createElement('article');
+		article.className = 'scroll-test';
+		article.getBoundingClientRect = () => ({ top: -50, height: 200 });
+		document.body.appendChild(article);
+
+		scroll.init({ container: '.scroll-test' });
+		proclaim.deepEqual(depths(), [25, 50, 75], 'three quarters of it have been in view');
+
+		document.body.removeChild(article);
+	});
+
+	it('should start again on each page view', () => {
+		scroll.init();
+		scrollTo(200);
+
+		core.setRootID();
+		utils.triggerPage();
+		clock.tick(100);
+
+		proclaim.deepEqual(depths(), [25, 25]);
+	});
+});
@@ -6,6 +6,7 @@ import './setup';
 import settings from '../src/javascript/core/settings';
 import Queue from '../src/javascript/core/queue';
 import Send from '../src/javascript/core/send';
+import user from '../src/javascript/core/user';
 import oTracking from '../main.js';
 
 describe('main', function () {
@@ -258,4 +259,74 @@ describe('main', function () {
 	it('should have getRootId() as an accessible method', () => {
 		proclaim.equal(typeof oTracking.getRootID, 'function');
 	});
+
+	it('should flush the queue', function () {
+		settings.set('config', { batch: { size: 10, timeout: 60000 } });
+		new Queue('requests').add({ category: 'page', action: 'view', queueTime: new Date().getTime() }).save();
+		Send.init();
+		proclaim.equal(new Queue('requests').all().length, 1);
+
+		return oTracking.flush().then(function () {
+			proclaim.equal(new Queue('requests').all().length, 0);
+			settings.destroy('config');
+		});
+	});
+
+	it('should pass every event through the hooks added with use()', function () {
+		oTracking.destroy();
+		oTracking.init({ context: { product: 'desktop' } });
+		oTracking.use(request => {
+			request.context.enriched = true;
+		});
+		oTracking.use(request => request.category === 'video' ? false : request);
+
+		const callback = sinon.spy();
+		oTracking.page({ content: { asset_type: 'story' } }, callback);
+		proclaim.isTrue(callback.firstCall.thisValue.context.enriched);
+
+		return oTracking.event(new CustomEvent('oTracking.event', { detail: { category: 'video', action: 'play' } })).then(function () {
+			proclaim.fail('the event should be dropped');
+		}, function (error) {
+			proclaim.isInstanceOf(error, oTracking.errors.DroppedError);
+			oTracking.destroy();
+		});
+	});
+
+	it('should only store ids and send events once consent is granted', function () {
+		const callback = sinon.spy();
+		oTracking.destroy();
+		new Queue('requests').replace([]);
+		user.destroy();
+
+		oTracking.init({ consent: { state: 'pending' }, context: { product: 'desktop' } });
+		oTracking.event(new CustomEvent('oTracking.event', { detail: { category: 'video', action: 'play' } }), callback);
+
+		proclaim.isFalse(callback.called, 'the event is held');
+		proclaim.notInclude(document.cookie, 'spoor-id');
+
+		oTracking.updateConfig({ context: { product: 'next' } });
+		proclaim.isFalse(callback.called, 'still held after other config changes');
+
+		oTracking.updateConfig({ consent: { state: 'granted' } });
+
+		proclaim.isTrue(callback.called, 'the event is sent');
+		proclaim.include(document.cookie, 'spoor-id');
+		oTracking.destroy();
+	});
+
+	it('should drop events and clear stored ids once consent is denied', function () {
+		oTracking.destroy();
+		oTracking.init({ context: { product: 'desktop' } });
+		proclaim.include(document.cookie, 'spoor-id');
+
+		oTracking.updateConfig({ consent: { state: 'denied' } });
+
+		proclaim.notInclude(document.cookie, 'spoor-id');
+		return oTracking.event(new CustomEvent('oTracking.event', { detail: { category: 'video', action: 'play' } })).then(function () {
+			proclaim.fail('the event should be dropped');
+		}, function (error) {
+			proclaim.isInstanceOf(error, oTracking.errors.ConsentError);
+			oTracking.destroy();
+		});
+	});
 });
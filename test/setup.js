@@ -2,26 +2,40 @@
 
 import transports from '../src/javascript/core/transports';
 
+const builtIn = ['fetch', 'xhr', 'sendBeacon', 'image'];
+
 let willError = false;
 
-export function mockTransport() {
-	transports.mock = function () {
-		return {
-			send: sinon.spy(),
-			complete: function (callback) {
-				if (willError) {
-					willError = false;
-					callback(new Error('mock error'));
-				} else {
-					callback();
-				}
+function defaultMock() {
+	return {
+		send: sinon.spy(),
+		complete: function (callback) {
+			if (willError) {
+				willError = false;
+				callback(new Error('mock error'));
+			} else {
+				callback();
 			}
-		};
+		}
 	};
 }
 
+// Register the mock in place of each built-in transport, so it's used whichever the browser supports.
+export function mockTransport(factory) {
+	builtIn.forEach(function (name) {
+		const mock = function () {
+			return (factory || defaultMock)();
+		};
+		mock.isSupported = transports[name].isSupported;
+		mock.survivesUnload = transports[name].survivesUnload;
+		transports.register(name, mock);
+	});
+}
+
 export function unmockTransport() {
-	transports.mock = null;
+	builtIn.forEach(function (name) {
+		transports.register(name, transports[name]);
+	});
 }
 
 export function errorNextSend() {
@@ -80,6 +80,22 @@ describe('Utils', function () {
 		});
 	});
 
+	it('should provide now functionality', function () {
+		const before = new Date().getTime();
+		const now = Utils.now();
+
+		proclaim.isNumber(now);
+		proclaim.ok(now >= before);
+	});
+
+	it('should provide matches functionality', function () {
+		const element = document.createElement('div');
+		element.setAttribute('data-trackable', 'link');
+
+		proclaim.isTrue(Utils.matches(element, '[data-trackable]'));
+		proclaim.isFalse(Utils.matches(element, '.o-teaser'));
+	});
+
 	it('should provide assignIfUndefined functionality', function () {
 		[
 			{